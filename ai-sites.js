@@ -0,0 +1,43 @@
+// Chat assistants people paste work data into. Prompts on these sites are scanned before they are
+// sent: a "warn" site asks for a reason to send sensitive data anyway, a "block" site refuses it.
+const DEFAULT_AI_SITES = [
+  { domain: 'chatgpt.com', mode: 'warn' },
+  { domain: 'chat.openai.com', mode: 'warn' },
+  { domain: 'claude.ai', mode: 'warn' },
+  { domain: 'gemini.google.com', mode: 'warn' },
+  { domain: 'copilot.microsoft.com', mode: 'warn' },
+  { domain: 'perplexity.ai', mode: 'warn' },
+  { domain: 'chat.deepseek.com', mode: 'warn' },
+  { domain: 'chat.mistral.ai', mode: 'warn' },
+  { domain: 'poe.com', mode: 'warn' },
+  { domain: 'meta.ai', mode: 'warn' },
+  { domain: 'grok.com', mode: 'warn' }
+];
+
+const AI_SITE_MODES = ['warn', 'block'];
+
+class AiSiteList {
+  constructor() {
+    this.entries = DEFAULT_AI_SITES;
+  }
+
+  // Administrator entries come first and win over a user entry for the same domain
+  setEntries(managed = [], user = DEFAULT_AI_SITES) {
+    const seen = new Set();
+    this.entries = [...managed.map(entry => ({ ...entry, managed: true })), ...user].filter(entry => {
+      if (!this.isValid(entry) || seen.has(entry.domain)) return false;
+      seen.add(entry.domain);
+      return true;
+    });
+  }
+
+  isValid(entry) {
+    return Boolean(entry) && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(entry.domain) && AI_SITE_MODES.includes(entry.mode);
+  }
+
+  // A site's subdomains share its mode
+  find(hostname) {
+    const host = (hostname || '').toLowerCase();
+    return this.entries.find(entry => host === entry.domain || host.endsWith(`.${entry.domain}`)) || null;
+  }
+}
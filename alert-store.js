@@ -0,0 +1,239 @@
+// Alert history shared by the service worker's restarts. Repeats of the same alert
+// within the dedupe window are folded into one entry with an occurrence count.
+class AlertStore {
+  constructor(storage, cryptoUtils) {
+    this.storage = storage;
+    this.cryptoUtils = cryptoUtils;
+    this.statuses = ['open', 'acknowledged', 'snoozed', 'resolved'];
+    this.alerts = [];
+    this.hasUnsavedChanges = false;
+    this.saveError = undefined;
+    this.snoozeTimer = null;
+    this.configure();
+  }
+
+  configure(settings = {}) {
+    this.options = {
+      retentionDays: Number(settings.alertRetentionDays) || 30,
+      maxAlerts: Number(settings.maxAlerts) || 500,
+      dedupeWindowMinutes: Number(settings.dedupeWindowMinutes ?? 10),
+      // The whole history is encrypted as one value; past this many characters of JSON the oldest alerts are dropped
+      maxBytes: 5 * 1024 * 1024
+    };
+  }
+
+  // Alerts raised while storage was locked only exist in memory and are merged into the restored history
+  async load() {
+    if (this.storage.isLocked()) {
+      this.updateBadge();
+      return;
+    }
+    const { alerts = [] } = await this.storage.get('alerts');
+    const restored = alerts.map(alert => this.normalize(alert));
+    const known = new Set(restored.map(alert => alert.id));
+    const unsaved = this.hasUnsavedChanges ? this.alerts.filter(alert => !known.has(alert.id)) : [];
+    this.alerts = [...restored, ...unsaved];
+    const pruned = this.prune();
+    if (unsaved.length || pruned) {
+      await this.save();
+    } else {
+      this.updateBadge();
+    }
+  }
+
+  // Alerts saved by older versions have numeric ids and no lifecycle fields
+  normalize(alert) {
+    return {
+      status: 'open',
+      occurrences: 1,
+      firstSeen: alert.timestamp,
+      lastSeen: alert.timestamp,
+      ...alert,
+      id: String(alert.id)
+    };
+  }
+
+  async add(alert) {
+    const now = alert.timestamp || Date.now();
+    const fingerprint = await this.fingerprint(alert);
+    const windowMs = this.options.dedupeWindowMinutes * 60000;
+    const existing = windowMs > 0 && this.alerts.find(candidate =>
+      candidate.fingerprint === fingerprint &&
+      candidate.status !== 'resolved' &&
+      now - candidate.lastSeen <= windowMs
+    );
+    if (existing) {
+      existing.occurrences += 1;
+      existing.lastSeen = now;
+      await this.save();
+      return { alert: existing, isNew: false };
+    }
+
+    const stored = {
+      ...alert,
+      id: crypto.randomUUID(),
+      fingerprint,
+      status: 'open',
+      occurrences: 1,
+      timestamp: now,
+      firstSeen: now,
+      lastSeen: now
+    };
+    this.alerts.push(stored);
+    this.prune();
+    await this.save();
+    return { alert: stored, isNew: true };
+  }
+
+  async fingerprint(alert) {
+    let host = '';
+    try {
+      host = new URL(alert.url).hostname;
+    } catch (e) {
+      // Breach alerts have no URL
+    }
+    const data = (alert.data || [])
+      .map(item => `${item.detector}:${item.valueHash || item.value || item.preview || ''}`)
+      .sort();
+    const redactions = (alert.redactions || []).map(redaction => `${redaction.detector}:${redaction.masked}`).sort();
+    return this.cryptoUtils.hash(JSON.stringify([
+      alert.type, host, alert.channel || null, data, redactions, alert.datasets || null, alert.email || null,
+      alert.file ? alert.file.name : null
+    ]));
+  }
+
+  find(id) {
+    return this.alerts.find(alert => alert.id === String(id));
+  }
+
+  async setStatus(id, status, { snoozeMinutes = 60 } = {}) {
+    if (!this.statuses.includes(status)) throw new Error(`Unknown alert status: ${status}`);
+    const alert = this.find(id);
+    if (!alert) return null;
+    alert.status = status;
+    if (status === 'snoozed') {
+      alert.snoozedUntil = Date.now() + snoozeMinutes * 60000;
+    } else {
+      delete alert.snoozedUntil;
+    }
+    await this.save();
+    return alert;
+  }
+
+  async update(id, changes) {
+    const alert = this.find(id);
+    if (!alert) return null;
+    Object.assign(alert, changes);
+    await this.save();
+    return alert;
+  }
+
+  async remove(id) {
+    this.alerts = this.alerts.filter(alert => alert.id !== String(id));
+    await this.save();
+  }
+
+  // Only alerts raised since locking are in memory, so clearing now would leave the stored history to come back on unlock
+  async clear() {
+    if (this.storage.isLocked()) throw new Error('Unlock storage in Settings to clear alerts');
+    this.alerts = [];
+    await this.save();
+  }
+
+  async replaceAll(alerts) {
+    this.alerts = alerts;
+    await this.save();
+  }
+
+  // Returns true when anything was dropped
+  prune() {
+    const before = this.alerts.length;
+    const cutoff = Date.now() - this.options.retentionDays * 86400000;
+    this.alerts = this.alerts.filter(alert => (alert.lastSeen || alert.timestamp) >= cutoff);
+    if (this.alerts.length > this.options.maxAlerts) {
+      this.alerts.sort((a, b) => a.lastSeen - b.lastSeen);
+      this.alerts = this.alerts.slice(this.alerts.length - this.options.maxAlerts);
+    }
+    return this.alerts.length !== before;
+  }
+
+  // Returns the number of alerts dropped to fit the size limit
+  fitToSize() {
+    const sizes = new Map(this.alerts.map(alert => [alert, JSON.stringify(alert).length + 1]));
+    let total = 2 + [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    if (total <= this.options.maxBytes) return 0;
+    const dropped = new Set();
+    const oldestFirst = [...this.alerts].sort((a, b) => (a.lastSeen || a.timestamp) - (b.lastSeen || b.timestamp));
+    for (const alert of oldestFirst) {
+      if (total <= this.options.maxBytes) break;
+      dropped.add(alert);
+      total -= sizes.get(alert);
+    }
+    this.alerts = this.alerts.filter(alert => !dropped.has(alert));
+    console.warn(`Dropped ${dropped.size} oldest alerts to keep alert history under the storage limit`);
+    return dropped.size;
+  }
+
+  // Alerts only wait in memory while storage is locked; any other failure is reported on the badge
+  // and in the popup, since the history is lost when the service worker restarts
+  async save() {
+    this.fitToSize();
+    try {
+      await this.storage.set({ alerts: this.alerts });
+      this.hasUnsavedChanges = false;
+      await this.setSaveError(null);
+    } catch (e) {
+      this.hasUnsavedChanges = true;
+      if (!this.storage.isLocked()) {
+        console.error('Failed to save alerts:', e);
+        await this.setSaveError(e.message || String(e));
+      }
+    }
+    this.updateBadge();
+  }
+
+  // Kept outside the encrypted history so the popup can read it even when that cannot be written
+  async setSaveError(message) {
+    if (this.saveError === message) return;
+    this.saveError = message;
+    try {
+      if (message) {
+        await chrome.storage.local.set({ alertSaveError: { message, since: Date.now() } });
+      } else {
+        await chrome.storage.local.remove('alertSaveError');
+      }
+    } catch (e) {
+      console.error('Failed to record alert save status:', e);
+    }
+  }
+
+  isActive(alert, now = Date.now()) {
+    return alert.status === 'open' || (alert.status === 'snoozed' && alert.snoozedUntil <= now);
+  }
+
+  activeCount() {
+    const now = Date.now();
+    return this.alerts.filter(alert => this.isActive(alert, now)).length;
+  }
+
+  updateBadge() {
+    const count = this.activeCount();
+    if (this.saveError) {
+      chrome.action.setBadgeText({ text: '!' });
+      chrome.action.setBadgeBackgroundColor({ color: '#ff9800' });
+      chrome.action.setTitle({ title: 'SecureGuard: alert history is not being saved' });
+    } else {
+      chrome.action.setBadgeText({ text: count ? String(count) : '' });
+      chrome.action.setBadgeBackgroundColor({ color: '#ff4444' });
+      chrome.action.setTitle({ title: 'SecureGuard' });
+    }
+
+    // Count a snoozed alert again once its snooze ends
+    clearTimeout(this.snoozeTimer);
+    const now = Date.now();
+    const nextWake = Math.min(...this.alerts
+      .filter(alert => alert.status === 'snoozed' && alert.snoozedUntil > now)
+      .map(alert => alert.snoozedUntil));
+    if (Number.isFinite(nextWake)) this.snoozeTimer = setTimeout(() => this.updateBadge(), nextWake - now);
+  }
+}
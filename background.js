@@ -1,38 +1,99 @@
+importScripts(
+  'crypto-utils.js',
+  'secure-storage.js',
+  'alert-store.js',
+  'breach-providers.js',
+  'pwned-passwords.js',
+  'url-reputation.js',
+  'blocklist-manager.js',
+  'phishing-heuristics.js',
+  'lookalike.js',
+  'download-classifier.js',
+  'ai-sites.js',
+  'detectors.js',
+  'secret-detectors.js',
+  'national-id-detectors.js',
+  'custom-rules.js',
+  'fingerprint-index.js',
+  'policy-engine.js',
+  'masking.js',
+  'redactor.js'
+);
+
 class SecurityEngine {
   constructor() {
-    this.breachAPIs = {
-      haveibeened: 'https://haveibeened.com/api/v3',
-      phishtank: 'https://checkurl.phishtank.com'
+    this.detectors = new DetectorRegistry([...PII_DETECTORS, ...SECRET_DETECTORS, ...NATIONAL_ID_DETECTORS]);
+    this.ruleCompiler = new CustomRuleCompiler();
+    this.cryptoUtils = new CryptoUtils();
+    this.storage = new SecureStorage(this.cryptoUtils);
+    this.alertStore = new AlertStore(this.storage, this.cryptoUtils);
+    this.breachService = new BreachService(this.cryptoUtils);
+    this.breachProvider = {};
+    this.pwnedPasswords = new PwnedPasswordService();
+    this.urlReputation = new UrlReputation(this.cryptoUtils);
+    this.blocklist = new BlocklistManager();
+    this.phishing = new PhishingHeuristics();
+    this.lookalike = new LookalikeDetector(this.phishing);
+    this.downloadClassifier = new DownloadClassifier();
+    this.reviewedDownloads = new Set();
+    this.aiSites = new AiSiteList();
+    this.exactMatchIndex = new ExactMatchIndex(this.cryptoUtils);
+    this.policyEngine = new PolicyEngine();
+    this.masking = new MaskingPolicy();
+    this.redactor = new Redactor(this.masking);
+    this.channelAlertTypes = {
+      form: 'data_transmission',
+      request_body: 'data_transmission',
+      upload: 'data_transmission',
+      header: 'header_leak',
+      paste: 'paste_warning',
+      copy: 'copy_warning',
+      ai_prompt: 'ai_prompt'
     };
 
-    this.sensitivePatterns = [
-      /\b\d{4}[\s-]?\d{4}[\s-]?\d{4}[\s-]?\d{4}\b/, // Credit card
-      /\b\d{3}-?\d{2}-?\d{4}\b/,                    // SSN
-      /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/, // Email
-      /\b(?:\d{1,3}\.){3}\d{1,3}\b/,                // IP address
-      /\bpassword\s*[:=]\s*\S+/i,                   // Password
-      /\bapi[_-]?key\s*[:=]\s*\S+/i                 // API Key
-    ];
-
     this.userSettings = {};
-    this.alertQueue = [];
     this.whitelistedSites = new Set();
+    this.watchListUpdates = Promise.resolve();
+    this.protectedDomainUpdates = Promise.resolve();
+    this.clipboardUpdates = Promise.resolve();
+    // tabId -> Map of value HMAC -> expiry, for values the user let through in the page
+    this.approvedValues = new Map();
 
-    this.init();
+    // MV3 only delivers the event that woke the worker to listeners registered synchronously,
+    // so they are added here and wait for init before touching any state
+    this.ready = this.init();
+    this.setupRequestListener();
+    this.setupMessageListener();
+    this.setupStorageListener();
+    this.setupAlarmListener();
+    this.setupDownloadListeners();
+    this.setupNotificationListener();
+    this.blocklist.watchHits();
   }
 
   async init() {
-    const stored = await chrome.storage.local.get(['settings', 'whitelist']);
+    await this.storage.init();
+    const stored = await chrome.storage.local.get(['settings', 'fingerprintDatasets', 'policyRules']);
     this.userSettings = stored.settings || {
       realTimeScanning: true,
-      darkWebScanning: true,
-      alertLevel: 'medium',
-      autoBlock: false
+      darkWebScanning: true
     };
-    this.whitelistedSites = new Set(stored.whitelist || []);
-    this.setupRequestListener();
-    this.setupMessageListener();
-    this.schedulePeriodicScans();
+    this.applyRegionSettings();
+    this.alertStore.configure(this.userSettings);
+    this.pwnedPasswords.configure(this.userSettings);
+    await this.loadSecureData();
+    await this.loadAiSites();
+    await this.loadClipboardRules();
+    this.exactMatchIndex.load(stored.fingerprintDatasets);
+    if (stored.policyRules) {
+      this.policyEngine.load(stored.policyRules);
+    } else {
+      const migrated = this.policyEngine.rulesFromLegacySettings(this.userSettings);
+      this.policyEngine.load(migrated);
+      await chrome.storage.local.set({ policyRules: migrated });
+    }
+    await this.scheduleBreachWatch();
+    await this.blocklist.init();
   }
 
   setupRequestListener() {
@@ -50,45 +111,311 @@ class SecurityEngine {
 
   setupMessageListener() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      switch (message.type) {
-        case 'SCAN_DATA':
-          this.scanDataForLeaks(message.data, sender.tab?.url).then(result => sendResponse(result));
-          return true; // Keep message channel open for async response
-        case 'CHECK_BREACH':
-          this.checkDataBreach(message.email).then(result => sendResponse(result));
-          return true;
-        case 'UPDATE_SETTINGS':
-          this.updateSettings(message.settings).then(() => sendResponse({ success: true }));
-          return true;
-        case 'GET_ALERTS':
-          sendResponse(this.alertQueue);
-          break;
-        case 'CLEAR_ALERT':
-          this.clearAlert(message.alertId).then(() => sendResponse({ success: true }));
-          return true;
-      }
+      this.ready
+        .then(() => this.handleMessage(message, sender))
+        .then(sendResponse, error => sendResponse({ error: error.message }));
+      return true; // Keep message channel open for async response
+    });
+  }
+
+  async handleMessage(message, sender) {
+    switch (message.type) {
+      case 'SCAN_DATA':
+        return this.scanDataForLeaks(message.data, {
+          // Page requests are judged by where the data is going, not the page sending it
+          url: message.url || this.senderUrl(sender),
+          channel: message.channel,
+          tabId: sender.tab?.id,
+          frameUrl: this.senderFrameUrl(sender),
+          api: message.api,
+          file: message.file
+        });
+      case 'REDACT_DATA':
+        return this.redactValues(message.values || [], {
+          url: message.url || this.senderUrl(sender),
+          channel: message.channel,
+          tabId: sender.tab?.id,
+          frameUrl: this.senderFrameUrl(sender),
+          api: message.api
+        });
+      case 'CHECK_BREACH':
+        return this.checkDataBreach(message.email);
+      case 'UPDATE_SETTINGS':
+        await this.updateSettings(message.settings);
+        return { success: true };
+      case 'GET_ALERTS':
+        return this.alertStore.alerts;
+      case 'CLEAR_ALERT':
+        await this.alertStore.remove(message.alertId);
+        return { success: true };
+      case 'CLEAR_ALL_ALERTS':
+        await this.alertStore.clear();
+        return { success: true };
+      case 'SET_ALERT_STATUS':
+        return { alert: await this.alertStore.setStatus(message.alertId, message.status, message) };
+      case 'EVALUATE_POLICY':
+        return this.evaluatePolicy(message.text, message.url, message.channel);
+      case 'PWNED_PASSWORD_RANGE':
+        if (!this.pwnedPasswords.enabled) return { disabled: true };
+        return { suffixes: await this.pwnedPasswords.range(message.prefix) };
+      case 'ASSESS_PAGE':
+        // Frames report for themselves, so the frame's own URL is the page being judged
+        return this.assessPage(message, this.senderUrl(sender));
+      case 'CHECK_LOOKALIKE':
+        // Navigations are already recorded by analyzeRequest, so only form destinations raise alerts here
+        return this.checkLookalike(message.url, { channel: message.channel, tabId: sender.tab?.id, record: message.channel === 'form' });
+      case 'CHECK_PASSWORD_REUSE':
+        return this.checkPasswordReuse(message.passwords || [], this.senderUrl(sender));
+      case 'OPEN_ALERT':
+        await this.openAlertDetails(message.alertId);
+        return { success: true };
+      case 'GET_AI_SITE':
+        return { site: this.findAiSite(this.senderUrl(sender)) };
+      case 'REPORT_UNSCANNED_FILE':
+        return this.reviewUnscannedFile(message.file || {}, message.reason || 'unknown error', {
+          url: message.url || this.senderUrl(sender),
+          tabId: sender.tab?.id,
+          frameUrl: this.senderFrameUrl(sender)
+        });
+      case 'APPROVE_VALUES':
+        await this.approveValues(sender.tab?.id, message.values || []);
+        return { success: true };
+      case 'RECORD_COPY':
+        await this.rememberCopy(message.text || '', this.senderUrl(sender));
+        return { success: true };
+      case 'GET_PASTE_PROFILE':
+        return this.pasteProfile(this.senderUrl(sender));
+      case 'CHECK_PASTE':
+        return this.checkPaste(message.text || '', this.senderUrl(sender), {
+          tabId: sender.tab?.id,
+          frameUrl: this.senderFrameUrl(sender)
+        });
+      case 'RESOLVE_PROMPT':
+        return this.resolvePrompt(message.alertId, message.decision, message.justification);
+      case 'RESOLVE_DOWNLOAD':
+        return this.resolveDownload(message.downloadId, message.decision);
+      case 'ALLOW_LOOKALIKE':
+        // Only the tab's own page can be allowed, never a host the message names
+        if (sender.frameId || !sender.tab?.url) throw new Error('Look-alike sites can only be allowed from their own page');
+        await this.allowLookalike(sender.tab.url);
+        return { success: true };
+      case 'GET_BLOCKLIST':
+        return { entries: await this.blocklist.list() };
+      case 'BLOCK_PATTERNS':
+        return this.blocklist.add(message.patterns, { source: message.source, reason: message.reason });
+      case 'IMPORT_BLOCKLIST':
+        return this.blocklist.add(this.blocklist.parseList(message.text), { source: message.name });
+      case 'UNBLOCK':
+        return this.blocklist.remove({ ruleIds: message.ruleIds, source: message.source });
+      case 'GET_BLOCK_REASON':
+        return { entry: await this.blocklist.find(message.ruleId) };
+      case 'GET_WATCH_LIST':
+        return { locked: this.storage.isLocked(), entries: this.storage.isLocked() ? [] : await this.getWatchList() };
+      case 'WATCH_EMAIL':
+        return this.watchEmail(message.email);
+      case 'UNWATCH_EMAIL':
+        await this.updateWatchList(list => list.filter(entry => entry.email !== message.email));
+        return { success: true };
+    }
+  }
+
+  // Content scripts run in every frame, so data is attributed to the frame it was found in rather
+  // than the tab. about:blank and srcdoc frames report their creator's origin instead of a URL.
+  senderUrl(sender) {
+    if (/^https?:/i.test(sender.url || '')) return sender.url;
+    if (sender.origin && sender.origin !== 'null') return `${sender.origin}/`;
+    return sender.tab?.url;
+  }
+
+  // Only recorded for subframes; top-frame alerts already name the page
+  senderFrameUrl(sender) {
+    return sender.frameId ? this.senderUrl(sender) : undefined;
+  }
+
+  setupAlarmListener() {
+    chrome.alarms.onAlarm.addListener(alarm => {
+      if (alarm.name === 'breach-watch') this.ready.then(() => this.runBreachWatch());
+    });
+  }
+
+  setupDownloadListeners() {
+    chrome.downloads.onCreated.addListener(item => {
+      // Most downloads are only named later, in onDeterminingFilename
+      if (item.filename) this.ready.then(() => this.reviewDownload(item));
+    });
+    // Holding the suggestion keeps Chrome from finishing the file until it has been reviewed
+    chrome.downloads.onDeterminingFilename.addListener((item, suggest) => {
+      this.ready
+        .then(() => this.reviewDownload(item))
+        .catch(e => console.error('Error reviewing download:', e))
+        .finally(() => suggest());
+      return true;
     });
   }
 
+  setupNotificationListener() {
+    chrome.notifications.onClicked.addListener(id => this.ready.then(() => this.openNotification(id)));
+    chrome.notifications.onButtonClicked.addListener((id, index) => {
+      if (!id.startsWith('download:')) return;
+      this.ready.then(() => this.resolveDownload(Number(id.slice(9)), index === 0 ? 'keep' : 'remove'))
+        .catch(e => console.error('Error resolving download:', e));
+    });
+  }
+
+  // Alert notifications are named after their alert; download prompts after the download
+  async openNotification(id) {
+    let alertId = id;
+    if (id.startsWith('download:')) {
+      const { pendingDownloads = {} } = await chrome.storage.session.get('pendingDownloads');
+      alertId = pendingDownloads[id.slice(9)];
+    }
+    chrome.notifications.clear(id);
+    await this.openAlertDetails(alertId);
+  }
+
+  async openAlertDetails(alertId) {
+    if (alertId && this.alertStore.find(alertId)) {
+      await chrome.tabs.create({ url: chrome.runtime.getURL(`alert_details.html?id=${encodeURIComponent(alertId)}`) });
+    }
+  }
+
+  setupStorageListener() {
+    chrome.storage.onChanged.addListener((changes, area) => this.ready.then(() => {
+      if (area === 'managed') {
+        this.loadSecureData();
+        this.loadAiSites();
+        this.loadClipboardRules();
+        return;
+      }
+      // Another context locked, unlocked or re-keyed the vault
+      if ((area === 'local' && changes.vault) || (area === 'session' && changes.vaultKey)) {
+        this.storage.init().then(() => this.loadSecureData());
+        return;
+      }
+      if (area !== 'local') return;
+      if (changes.customRules || changes.whitelist) this.loadSecureData();
+      if (changes.breachProvider) this.loadSecureData().then(() => this.breachService.clearCache());
+      if (changes.reputationProvider || changes.trustedDomains) this.loadSecureData();
+      if (changes.reputationDb) this.urlReputation.db = null;
+      if (changes.fingerprintDatasets) this.exactMatchIndex.load(changes.fingerprintDatasets.newValue);
+      if (changes.policyRules) this.policyEngine.load(changes.policyRules.newValue);
+      if (changes.aiSites) this.loadAiSites();
+      if (changes.clipboardRules) this.loadClipboardRules();
+      if (changes.pwnedPasswordIndex) this.pwnedPasswords.offlineIndex = null;
+    }));
+  }
+
+  // Encrypted keys are unreadable while a passphrase vault is locked: custom rules and the
+  // whitelist stop applying until it is unlocked, and new alerts wait in memory
+  async loadSecureData() {
+    const stored = await this.storage.get([
+      'whitelist', 'customRules', 'breachProvider', 'reputationProvider', 'trustedDomains'
+    ]);
+    this.whitelistedSites = new Set(stored.whitelist || []);
+    this.applyCustomRules(stored.customRules || []);
+    this.breachProvider = stored.breachProvider || {};
+    this.breachService.configure(this.breachProvider, this.userSettings);
+    this.urlReputation.configure(stored.reputationProvider);
+    this.phishing.setTrustedDomains([...await this.getManagedTrustedDomains(), ...(stored.trustedDomains || [])]);
+    await this.alertStore.load();
+  }
+
+  // Administrators can push trusted domains through enterprise policy (see managed-schema.json)
+  async getManagedTrustedDomains() {
+    try {
+      const { trustedDomains = [] } = await chrome.storage.managed.get('trustedDomains');
+      return trustedDomains
+        .filter(entry => entry && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(entry.domain))
+        .map(entry => ({
+          domain: entry.domain.toLowerCase(),
+          brand: entry.brand || '',
+          relatedDomains: (Array.isArray(entry.relatedDomains) ? entry.relatedDomains : [])
+            .filter(domain => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(domain))
+            .map(domain => domain.toLowerCase()),
+          managed: true
+        }));
+    } catch (e) {
+      // Managed storage is unavailable when no policy is installed on some platforms
+      return [];
+    }
+  }
+
+  // The AI site list is not secret, so it keeps working while the vault is locked
+  async loadAiSites() {
+    const { aiSites } = await chrome.storage.local.get('aiSites');
+    this.aiSites.setEntries(await this.getManagedAiSites(), aiSites || DEFAULT_AI_SITES);
+  }
+
+  async getManagedAiSites() {
+    try {
+      const { aiSites = [] } = await chrome.storage.managed.get('aiSites');
+      return aiSites
+        .filter(entry => entry && typeof entry.domain === 'string')
+        .map(entry => ({ domain: entry.domain.toLowerCase(), mode: entry.mode === 'block' ? 'block' : 'warn' }));
+    } catch (e) {
+      return [];
+    }
+  }
+
+  // Administrator rules are checked before the user's own
+  async loadClipboardRules() {
+    const { clipboardRules = [] } = await chrome.storage.local.get('clipboardRules');
+    let managed = [];
+    try {
+      ({ clipboardRules: managed = [] } = await chrome.storage.managed.get('clipboardRules'));
+    } catch (e) {
+      // No policy installed
+    }
+    this.policyEngine.loadClipboardRules([
+      ...managed.map((rule, i) => ({ id: `managed-${i}`, ...rule, managed: true })),
+      ...clipboardRules
+    ]);
+  }
+
+  applyRegionSettings() {
+    for (const id of this.detectors.ids()) {
+      const { regions } = this.detectors.get(id);
+      if (!regions) continue;
+      this.detectors.setEnabled(id, regions.some(region => this.userSettings[DETECTOR_REGIONS[region]] !== false));
+    }
+  }
+
+  applyCustomRules(rules) {
+    for (const id of this.detectors.ids()) {
+      if (id.startsWith('custom:')) this.detectors.unregister(id);
+    }
+    for (const rule of rules) {
+      if (rule.enabled === false) continue;
+      try {
+        this.detectors.register(this.ruleCompiler.compile(rule));
+      } catch (e) {
+        console.warn(`Skipping custom rule "${rule.name}":`, e.message);
+      }
+    }
+  }
+
   async analyzeRequest(details) {
-    if (!this.userSettings.realTimeScanning) return;
+    await this.ready;
     try {
       const urlObj = new URL(details.url);
       if (this.whitelistedSites.has(urlObj.hostname)) return;
+      if (details.type === 'main_frame' || details.type === 'sub_frame') {
+        await this.checkLookalike(details.url, { channel: 'navigation', tabId: details.tabId });
+      }
+      if (!this.userSettings.realTimeScanning) return;
 
       if (details.requestBody) {
         const data = this.extractFormData(details.requestBody);
-        const leaks = this.detectSensitiveData(data);
-        if (leaks.length) {
-          await this.createAlert({
-            type: 'data_transmission',
-            severity: 'high',
-            url: details.url,
-            data: leaks,
-            timestamp: Date.now(),
-            tabId: details.tabId
-          });
-        }
+        const findings = await this.withoutApprovedValues(details.tabId, data, await this.findSensitiveData(data));
+        if (!findings.length) return;
+        const decision = this.policyEngine.evaluate({ url: details.url, channel: 'request_body', findings });
+        const alert = await this.recordDecision(decision, findings, {
+          url: details.url,
+          channel: 'request_body',
+          tabId: details.tabId,
+          frameUrl: details.frameId ? details.documentUrl : undefined
+        });
+        if (alert) this.notifyPage(details, alert, decision);
       }
     } catch (e) {
       console.error('Error analyzing request:', e);
@@ -96,21 +423,23 @@ class SecurityEngine {
   }
 
   async analyzeHeaders(details) {
+    await this.ready;
     try {
       const suspiciousHeaders = ['x-api-key', 'authorization', 'x-auth-token'];
+      const hostname = new URL(details.url).hostname;
       for (const header of details.requestHeaders || []) {
         if (suspiciousHeaders.some(h => header.name.toLowerCase().includes(h))) {
-          const leaks = this.detectSensitiveData(header.value);
-          if (leaks.length) {
-            await this.createAlert({
-              type: 'header_leak',
-              severity: 'medium',
-              url: details.url,
-              header: header.name,
-              timestamp: Date.now(),
-              tabId: details.tabId
-            });
-          }
+          // A provider's own credentials are expected in headers sent to that provider
+          const findings = this.detectSensitiveData(header.value).filter(leak => !this.isExpectedDestination(leak, hostname));
+          const decision = this.policyEngine.evaluate({ url: details.url, channel: 'header', findings });
+          const alert = await this.recordDecision(decision, findings, {
+            url: details.url,
+            channel: 'header',
+            header: header.name,
+            tabId: details.tabId,
+            frameUrl: details.frameId ? details.documentUrl : undefined
+          });
+          if (alert) this.notifyPage(details, alert, decision);
         }
       }
     } catch (e) {
@@ -136,125 +465,730 @@ class SecurityEngine {
   }
 
   detectSensitiveData(text) {
-    const found = [];
-    for (const [i, pattern] of this.sensitivePatterns.entries()) {
-      const matches = text.match(pattern);
-      if (matches) {
-        found.push({ type: this.getPatternType(i), value: matches[0], pattern: pattern.toString() });
-      }
-    }
-    return found;
+    return this.detectors.detect(text);
+  }
+
+  getPatternType(detectorId) {
+    return this.detectors.get(detectorId)?.type || 'unknown';
   }
 
-  getPatternType(index) {
-    const types = ['credit_card', 'ssn', 'email', 'ip_address', 'password', 'api_key'];
-    return types[index] || 'unknown';
+  isExpectedDestination(leak, hostname) {
+    const hosts = this.detectors.get(leak.detector)?.expectedHosts || [];
+    return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
   }
 
-  async scanDataForLeaks(data, url) {
-    const leaks = this.detectSensitiveData(data);
-    const reputation = await this.checkUrlReputation(url);
+  async findSensitiveData(text) {
+    const leaks = this.detectSensitiveData(text);
+    const { matches, truncated } = await this.exactMatchIndex.scan(text);
+    const findings = leaks.concat(matches.map(match => ({
+      type: 'exact_match',
+      detector: 'exact_match',
+      dataset: match.dataset,
+      start: match.start,
+      end: match.end,
+      confidence: 1,
+      severity: 'critical'
+    })));
+    // Only logged by default, so a rule for "unscanned_text" decides whether padded text may go through
+    if (truncated) {
+      findings.push({
+        type: 'unscanned_text',
+        detector: 'unscanned_text',
+        label: 'Text not fully checked',
+        preview: `only the first ${this.exactMatchIndex.maxScanTokens} words were checked against protected datasets`,
+        severity: 'low'
+      });
+    }
+    return findings;
+  }
+
+  async scanDataForLeaks(data, { url, channel, tabId, frameUrl, api, file } = {}) {
+    const leaks = await this.findSensitiveData(data);
+    const decision = this.evaluateFindings({ url, channel, findings: leaks });
+    // Redactions are recorded by redactValues once the content script knows what it replaced
+    let alert;
+    if (this.policyEngine.channels.includes(channel) && decision.action !== 'redact') {
+      alert = await this.recordDecision(decision, leaks, { url, channel, tabId, frameUrl, api, file });
+    }
+    // Reputation only matters when there is something to leak, and lookups stay local unless a prefix matches
+    const reputation = leaks.length ? await this.checkUrlReputation(url) : null;
     const recommendations = [];
 
     if (leaks.length) recommendations.push('Sensitive data detected.');
+    if (leaks.some(leak => leak.type === 'exact_match')) {
+      recommendations.push('This text contains records from a protected dataset.');
+    }
     if (reputation?.malicious) recommendations.push('Warning: Potentially malicious site.');
+    if (leaks.length && file?.truncated) recommendations.push('Only the first part of this file was scanned.');
+
+    return { sensitiveData: leaks, decision, reputation, recommendations, alertId: alert?.id };
+  }
+
+  // Values are scanned as "name: value" so field names like "password" still count as context
+  async redactValues(values, context) {
+    const redactions = [];
+    const redactedValues = [];
+    for (const { name = '', value = '' } of values) {
+      const prefix = name ? `${name}: ` : '';
+      const findings = await this.findSensitiveData(prefix + value);
+      const decision = this.evaluateFindings({ url: context.url, channel: context.channel, findings });
+      const targets = findings
+        .filter((finding, i) => !['allow', 'log'].includes(decision.findings[i].action) && finding.end > prefix.length)
+        .map(finding => ({ ...finding, start: Math.max(finding.start - prefix.length, 0), end: finding.end - prefix.length }));
+      const redacted = this.redactor.redact(value, targets);
+      redactedValues.push(redacted.text);
+      redacted.redactions.forEach(redaction => redactions.push(name ? { field: name, ...redaction } : redaction));
+    }
+
+    let alert;
+    if (redactions.length) {
+      alert = await this.createAlert({
+        ...context,
+        type: 'data_redacted',
+        severity: this.highestSeverity(redactions),
+        action: 'redact',
+        redactions,
+        timestamp: Date.now()
+      });
+    }
+    return { values: redactedValues, redactions, alertId: alert?.id };
+  }
 
-    return { sensitiveData: leaks, reputation, recommendations };
+  async evaluatePolicy(text, url, channel) {
+    const findings = await this.findSensitiveData(text || '');
+    return { sensitiveData: findings, decision: this.evaluateFindings({ url, channel, findings }) };
+  }
+
+  findAiSite(url) {
+    if (this.userSettings.aiPromptGuard === false) return null;
+    try {
+      return this.aiSites.find(new URL(url).hostname);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // On AI chat sites the site's mode is a floor for anything the policy would only log or warn about
+  evaluateFindings({ url, channel, findings }) {
+    const decision = this.policyEngine.evaluate({ url, channel, findings });
+    const site = channel === 'ai_prompt' ? this.findAiSite(url) : null;
+    if (!site) return decision;
+    const { actions } = this.policyEngine;
+    const raise = action => (action === 'allow' || actions.indexOf(action) >= actions.indexOf(site.mode) ? action : site.mode);
+    const action = raise(decision.action);
+    return {
+      ...decision,
+      action,
+      rule: action === decision.action ? decision.rule : { id: `ai-site:${site.domain}`, name: `AI assistant ${site.domain} (${site.mode})` },
+      aiSite: site.domain,
+      findings: decision.findings.map(finding => ({ ...finding, action: raise(finding.action) }))
+    };
+  }
+
+  // An upload that could not be read is a finding of its own, so a rule for the "unscanned_file"
+  // type can warn about or block it; without a matching rule it is only logged
+  async reviewUnscannedFile(file, reason, { url, tabId, frameUrl }) {
+    const findings = [{ type: 'unscanned_file', detector: 'unscanned_file', label: 'File not scanned', preview: reason, severity: 'low' }];
+    const decision = this.evaluateFindings({ url, channel: 'upload', findings });
+    const alert = await this.recordDecision(decision, findings, { url, channel: 'upload', tabId, frameUrl, file });
+    return { sensitiveData: findings, decision, alertId: alert?.id };
+  }
+
+  // Every answer is kept for the audit trail, since repeats of the same prompt fold into one alert
+  async resolvePrompt(alertId, decision, justification = '') {
+    const alert = this.alertStore.find(alertId);
+    if (!alert) throw new Error('Alert not found');
+    if (!['sent', 'redacted', 'cancelled'].includes(decision)) throw new Error(`Unknown decision: ${decision}`);
+    const reason = String(justification).trim().slice(0, 1000);
+    if (decision === 'sent' && !reason) throw new Error('A reason is required to send sensitive data');
+    const outcome = decision === 'sent' ? { decision, justification: reason, at: Date.now() } : { decision, at: Date.now() };
+    return { alert: await this.alertStore.update(alertId, { outcomes: [...(alert.outcomes || []), outcome] }) };
+  }
+
+  // Resolves to the alert recorded for the data, if any
+  async recordDecision(decision, findings, context) {
+    if (decision.action === 'allow') return null;
+    const flagged = findings.filter((finding, i) => decision.findings[i].action !== 'allow');
+    const exactMatches = flagged.filter(finding => finding.type === 'exact_match');
+    const leaks = flagged.filter(finding => finding.type !== 'exact_match');
+    const common = {
+      ...context,
+      action: decision.action,
+      policyRule: decision.rule?.name,
+      timestamp: Date.now()
+    };
+
+    let alert = null;
+    if (exactMatches.length) {
+      alert = await this.createAlert({
+        ...common,
+        type: 'exact_match',
+        severity: 'critical',
+        datasets: [...new Set(exactMatches.map(match => match.dataset))],
+        matchCount: exactMatches.length
+      });
+    }
+    if (leaks.length) {
+      alert = await this.createAlert({
+        ...common,
+        type: this.channelAlertTypes[context.channel] || 'data_transmission',
+        severity: this.highestSeverity(leaks),
+        data: leaks
+      });
+    }
+    return alert;
+  }
+
+  // Requests seen by webRequest got past the content script's own checks, so the page is told
+  // afterwards; a blocked body also stops the page's forms, since this listener cannot cancel it
+  notifyPage({ tabId, frameId = 0 }, alert, decision) {
+    if (tabId === undefined || tabId < 0) return;
+    let message = {
+      type: 'SHOW_ALERT',
+      alert: { type: alert.type, severity: alert.severity, message: this.formatAlertMessage(alert), alertId: alert.id }
+    };
+    if (alert.channel === 'request_body' && decision.action === 'block') {
+      message = { type: 'BLOCK_SUBMISSION', reason: `${this.describeAlert(alert)}.`, alertId: alert.id };
+    }
+    chrome.tabs.sendMessage(tabId, message, { frameId }).catch(() => {});
+    if (message.type === 'SHOW_ALERT' && alert.channel === 'request_body') {
+      chrome.tabs.sendMessage(tabId, { type: 'HIGHLIGHT_RISKS' }, { frameId }).catch(() => {});
+    }
+  }
+
+  highestSeverity(findings) {
+    const order = this.policyEngine.severities;
+    return findings.reduce((highest, finding) =>
+      order.indexOf(finding.severity) > order.indexOf(highest) ? finding.severity : highest
+    , 'low');
   }
 
   async checkDataBreach(email) {
     if (!this.userSettings.darkWebScanning) return { checked: false, reason: 'Disabled' };
+    // The provider key is encrypted, so lookups wait for the vault like the rest of the secure data
+    if (this.storage.isLocked()) return { error: 'locked', message: 'Unlock storage in Settings to check breaches' };
     try {
-      const res = await fetch(`${this.breachAPIs.haveibeened}/breachedaccount/${email}`, {
-        method: 'GET',
-        headers: { 'hibp-api-key': 'YOUR_API_KEY', 'User-Agent': 'SecureGuard' }
-      });
-      if (res.status === 200) {
-        const data = await res.json();
-        return { breached: true, breaches: data, count: data.length };
-      } else if (res.status === 404) {
-        return { breached: false, message: 'No breaches found' };
-      }
+      const { breaches, cached = false } = await this.breachService.check(email);
+      if (breaches.length) return { breached: true, breaches, count: breaches.length, cached };
+      return { breached: false, message: 'No breaches found', cached };
     } catch (e) {
-      console.error(e);
-      return { error: true, message: 'API error' };
+      if (!(e instanceof BreachLookupError)) throw e;
+      return { error: e.kind, message: e.message, retryAfter: e.retryAfter };
     }
   }
 
   async checkUrlReputation(url) {
+    if (!url) return { malicious: false, checked: false };
     try {
-      const res = await fetch('https://safebrowsing.googleapis.com/v4/threatMatches:find?key=YOUR_GOOGLE_API_KEY', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          client: { clientId: 'secureguard', clientVersion: '1.0' },
-          threatInfo: {
-            threatTypes: ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE'],
-            platformTypes: ['ANY_PLATFORM'],
-            threatEntryTypes: ['URL'],
-            threatEntries: [{ url }]
-          }
-        })
-      });
-      const data = await res.json();
-      return { malicious: Array.isArray(data.matches) && data.matches.length > 0, threats: data.matches || [] };
+      return await this.urlReputation.check(url);
     } catch (e) {
       console.error(e);
       return { error: true };
     }
   }
 
-  async createAlert(alert) {
-    alert.id = Date.now() + Math.random();
-    this.alertQueue.push(alert);
-    await chrome.storage.local.set({ alerts: this.alertQueue });
-    chrome.notifications.create(alert.id.toString(), {
-      title: 'SecureGuard Alert',
-      message: this.formatAlertMessage(alert),
+  async assessPage(report, url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (e) {
+      return { score: 0, level: 'low', findings: [] };
+    }
+    if (this.whitelistedSites.has(hostname)) return { score: 0, level: 'low', findings: [] };
+
+    const assessment = this.phishing.assess(url, report);
+    if (assessment.level !== 'low') {
+      const alert = await this.createAlert({
+        type: 'phishing_risk',
+        severity: assessment.level,
+        url,
+        score: assessment.score,
+        findings: assessment.findings,
+        framed: Boolean(report.framed),
+        timestamp: Date.now()
+      });
+      return { ...assessment, alertId: alert.id };
+    }
+    return assessment;
+  }
+
+  async checkLookalike(url, { channel, tabId, record = true } = {}) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      return { match: null };
+    }
+    if (!/^https?:$/.test(parsed.protocol) || this.whitelistedSites.has(parsed.hostname)) return { match: null };
+    const match = this.lookalike.check(parsed.hostname);
+    if (!match) return { match: null };
+
+    const { allowedLookalikes = [] } = await chrome.storage.session.get('allowedLookalikes');
+    const allowed = allowedLookalikes.includes(match.hostname);
+    if (record && !allowed) {
+      await this.createAlert({
+        type: 'lookalike_domain',
+        severity: 'high',
+        url,
+        channel,
+        trustedDomain: match.trusted,
+        displayHost: match.displayHost,
+        reasons: match.reasons,
+        tabId,
+        timestamp: Date.now()
+      });
+    }
+    return { match, allowed };
+  }
+
+  // "Continue anyway" holds for the rest of the browser session
+  async allowLookalike(url) {
+    const hostname = new URL(url).hostname;
+    const match = this.lookalike.check(hostname);
+    if (!match) return;
+    const { allowedLookalikes = [] } = await chrome.storage.session.get('allowedLookalikes');
+    if (!allowedLookalikes.includes(match.hostname)) {
+      await chrome.storage.session.set({ allowedLookalikes: [...allowedLookalikes, match.hostname] });
+    }
+  }
+
+  // ---- Downloads ----
+
+  async reviewDownload(item) {
+    if (this.userSettings.downloadMonitoring === false || item.byExtensionId === chrome.runtime.id) return;
+    if (this.reviewedDownloads.has(item.id)) return;
+    this.reviewedDownloads.add(item.id);
+
+    const url = item.finalUrl || item.url;
+    const sources = { malicious: [], blocked: [] };
+    for (const source of new Set([url, item.referrer].filter(candidate => /^https?:/i.test(candidate || '')))) {
+      if ((await this.checkUrlReputation(source)).malicious) sources.malicious.push(source);
+      const entry = await this.blocklist.match(source);
+      if (entry) sources.blocked.push({ url: source, pattern: entry.pattern });
+    }
+    const assessment = this.downloadClassifier.classify(item, sources);
+    if (assessment.level === 'low') return;
+
+    const block = assessment.level === 'high' && this.userSettings.blockRiskyDownloads === true;
+    try {
+      if (block) await chrome.downloads.cancel(item.id);
+      else await chrome.downloads.pause(item.id);
+    } catch (e) {
+      // Small files can finish before the review does; the prompt then offers to delete them instead
+      console.warn('Could not hold download:', e.message);
+    }
+
+    const alert = await this.createAlert({
+      type: 'download_risk',
+      severity: assessment.level,
+      action: block ? 'block' : 'warn',
+      url,
+      referrer: item.referrer || '',
+      downloadId: item.id,
+      file: { name: assessment.fileName, size: item.fileSize > 0 ? item.fileSize : item.totalBytes, type: item.mime || '' },
+      score: assessment.score,
+      findings: assessment.findings,
+      timestamp: Date.now()
+    }, { notify: block });
+    if (block) return;
+
+    // A repeat of the same file folds into the earlier alert, which then follows the new download
+    if (alert.downloadId !== item.id) await this.alertStore.update(alert.id, { downloadId: item.id, decision: null });
+    const { pendingDownloads = {} } = await chrome.storage.session.get('pendingDownloads');
+    await chrome.storage.session.set({ pendingDownloads: { ...pendingDownloads, [item.id]: alert.id } });
+    chrome.notifications.create(`download:${item.id}`, {
+      type: 'basic',
       iconUrl: 'icons/icon48.png',
-      type: 'basic'
+      title: 'SecureGuard paused a risky download',
+      message: `${assessment.fileName}: ${assessment.findings.map(finding => finding.message).join('; ')}`,
+      contextMessage: this.downloadClassifier.hostOf(url),
+      buttons: [{ title: 'Keep download' }, { title: 'Remove download' }],
+      requireInteraction: true
+    });
+  }
+
+  async resolveDownload(downloadId, decision) {
+    const [item] = await chrome.downloads.search({ id: downloadId });
+    if (!item) throw new Error('The download no longer exists');
+    if (decision === 'keep') {
+      if (item.paused) await chrome.downloads.resume(downloadId);
+    } else if (item.state === 'complete') {
+      if (item.exists) await chrome.downloads.removeFile(downloadId);
+    } else if (item.state === 'in_progress') {
+      await chrome.downloads.cancel(downloadId);
+    }
+    chrome.notifications.clear(`download:${downloadId}`);
+
+    const { pendingDownloads = {} } = await chrome.storage.session.get('pendingDownloads');
+    const alertId = pendingDownloads[downloadId];
+    delete pendingDownloads[downloadId];
+    await chrome.storage.session.set({ pendingDownloads });
+    const alert = alertId && await this.alertStore.update(alertId, {
+      decision: decision === 'keep' ? 'kept' : 'removed',
+      decidedAt: Date.now()
+    });
+    return { success: true, alert };
+  }
+
+  // ---- Page approvals ----
+
+  // A request the content script held and the user let through is seen again by webRequest; its
+  // values are remembered briefly so the same payload does not raise a second alert
+  async approveValues(tabId, values) {
+    if (tabId === undefined || !values.length) return;
+    const key = await this.getValueHashKey();
+    const approved = this.approvedValues.get(tabId) || new Map();
+    const expires = Date.now() + 60000;
+    for (const value of values) approved.set(await this.cryptoUtils.generateHMAC(String(value), key), expires);
+    this.approvedValues.set(tabId, approved);
+  }
+
+  async withoutApprovedValues(tabId, data, findings) {
+    const approved = this.approvedValues.get(tabId);
+    if (!approved || !findings.length) return findings;
+    const now = Date.now();
+    for (const [hash, expires] of approved) {
+      if (expires < now) approved.delete(hash);
+    }
+    if (!approved.size) {
+      this.approvedValues.delete(tabId);
+      return findings;
+    }
+    const key = await this.getValueHashKey();
+    const remaining = [];
+    for (const finding of findings) {
+      const value = finding.value ?? data.slice(finding.start, finding.end);
+      if (!approved.has(await this.cryptoUtils.generateHMAC(String(value), key))) remaining.push(finding);
+    }
+    return remaining;
+  }
+
+  // ---- Clipboard ----
+
+  // Copied text is only kept as an HMAC next to the origin it came from, for this browser session
+  async clipboardHash(text) {
+    const normalized = text.replace(/\s+/g, ' ').trim();
+    // Short snippets are copied everywhere and say nothing about where they came from
+    if (normalized.length < 8) return null;
+    return this.cryptoUtils.generateHMAC(normalized, await this.getValueHashKey());
+  }
+
+  async rememberCopy(text, url) {
+    const hash = await this.clipboardHash(text);
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch (e) {
+      return;
+    }
+    if (!hash || origin === 'null') return;
+    const run = this.clipboardUpdates.then(async () => {
+      const { clipboardSources = [] } = await chrome.storage.session.get('clipboardSources');
+      const others = clipboardSources.filter(entry => entry.hash !== hash);
+      await chrome.storage.session.set({ clipboardSources: [{ hash, origin, at: Date.now() }, ...others].slice(0, 100) });
+    });
+    this.clipboardUpdates = run.catch(() => {});
+    return run;
+  }
+
+  // Lets the content script paste natively when nothing could apply: custom rules and dataset
+  // records can match any text, built-in detectors only text the content script's prefilter passes
+  pasteProfile(url) {
+    return {
+      scanAll: this.detectors.ids().some(id => id.startsWith('custom:')) || this.exactMatchIndex.datasets.length > 0,
+      clipboardGuarded: this.policyEngine.restrictsPaste(url)
+    };
+  }
+
+  // Text that was not copied in this browser session has no known source and is left to the
+  // content scan; redacting keeps the paste but masks whatever the detectors find in it
+  async checkPaste(text, url, { tabId, frameUrl } = {}) {
+    const hash = await this.clipboardHash(text);
+    if (!hash) return { action: 'allow' };
+    await this.clipboardUpdates;
+    const { clipboardSources = [] } = await chrome.storage.session.get('clipboardSources');
+    const source = clipboardSources.find(entry => entry.hash === hash);
+    if (!source) return { action: 'allow' };
+
+    const decision = this.policyEngine.evaluatePaste({ sourceUrl: source.origin, destinationUrl: url });
+    if (decision.action === 'allow') return { action: 'allow', sourceOrigin: source.origin };
+    const destinationOrigin = new URL(url).origin;
+    const redacted = decision.action === 'redact' ? this.redactor.redact(text, await this.findSensitiveData(text)) : null;
+    const alert = await this.createAlert({
+      type: 'clipboard_policy',
+      severity: 'high',
+      action: decision.action,
+      url,
+      channel: 'paste',
+      tabId,
+      frameUrl,
+      sourceOrigin: source.origin,
+      destinationOrigin,
+      policyRule: decision.rule.name,
+      redactions: redacted ? redacted.redactions : undefined,
+      timestamp: Date.now()
     });
-    chrome.action.setBadgeText({ text: this.alertQueue.length.toString() });
-    chrome.action.setBadgeBackgroundColor({ color: '#ff4444' });
+    return {
+      action: decision.action,
+      rule: decision.rule,
+      sourceOrigin: source.origin,
+      destinationOrigin,
+      text: redacted ? redacted.text : undefined,
+      alertId: alert.id
+    };
+  }
+
+  // ---- Password reuse ----
+
+  // Passwords are only ever kept as PBKDF2 hashes, one per protected domain, learned when the user
+  // signs in there; anywhere else the typed passwords are compared against them before submitting
+  async checkPasswordReuse(passwords, url) {
+    if (!this.userSettings.passwordReuseDetection || this.storage.isLocked() || !passwords.length) return { reused: false };
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (e) {
+      return { reused: false };
+    }
+    const { protectedDomains = [] } = await this.storage.get(['protectedDomains']);
+    const home = protectedDomains.find(entry => this.phishing.belongsTo(hostname, entry.domain));
+    if (home) {
+      // On password change forms the new password comes last
+      await this.rememberProtectedPassword(home.domain, passwords[passwords.length - 1]);
+      return { reused: false };
+    }
+    if (this.whitelistedSites.has(hostname)) return { reused: false };
+
+    for (const entry of protectedDomains.filter(candidate => candidate.hash)) {
+      for (const password of passwords) {
+        if (!(await this.matchesPasswordHash(password, entry))) continue;
+        await this.createAlert({
+          type: 'password_reuse',
+          severity: 'high',
+          action: 'block',
+          url,
+          protectedDomain: entry.domain,
+          timestamp: Date.now()
+        });
+        return { reused: true, domain: entry.domain };
+      }
+    }
+    return { reused: false };
+  }
+
+  async hashPassword(password, salt) {
+    const key = await this.cryptoUtils.deriveKeyFromPassword(password, salt);
+    return this.cryptoUtils.arrayBufferToBase64(await crypto.subtle.exportKey('raw', key));
+  }
+
+  async matchesPasswordHash(password, entry) {
+    const salt = new Uint8Array(this.cryptoUtils.base64ToArrayBuffer(entry.salt));
+    return this.cryptoUtils.constantTimeCompare(await this.hashPassword(password, salt), entry.hash);
+  }
+
+  // Serialized like the watch list so two sign-ins cannot overwrite each other's hash
+  rememberProtectedPassword(domain, password) {
+    const run = this.protectedDomainUpdates.then(async () => {
+      const { protectedDomains = [] } = await this.storage.get(['protectedDomains']);
+      const entry = protectedDomains.find(candidate => candidate.domain === domain);
+      if (!entry || (entry.hash && await this.matchesPasswordHash(password, entry))) return;
+      const salt = this.cryptoUtils.generateSalt();
+      entry.salt = this.cryptoUtils.arrayBufferToBase64(salt);
+      entry.hash = await this.hashPassword(password, salt);
+      entry.updatedAt = Date.now();
+      await this.storage.set({ protectedDomains });
+    });
+    this.protectedDomainUpdates = run.catch(() => {});
+    return run;
+  }
+
+  // Callers that ask the user themselves pass notify: false
+  async createAlert(alert, { notify = true } = {}) {
+    if (this.userSettings.storeMaskedOnly) alert = await this.minimizeAlert(alert);
+    const { alert: stored, isNew } = await this.alertStore.add(alert);
+    // Repeats only bump the occurrence count, and log-only decisions never interrupt the user
+    if (isNew && notify && stored.action !== 'log') {
+      chrome.notifications.create(stored.id, {
+        title: 'SecureGuard Alert',
+        message: this.formatAlertMessage(stored),
+        contextMessage: (stored.data || []).slice(0, 3).map(item => this.masking.preview(item)).join(', '),
+        iconUrl: 'icons/icon48.png',
+        type: 'basic'
+      });
+    }
+    return stored;
+  }
+
+  // Keeps an HMAC of each value so repeats can still be correlated without storing the value itself
+  async minimizeAlert(alert) {
+    const minimized = this.masking.maskAlert(alert);
+    if (alert.data) {
+      const key = await this.getValueHashKey();
+      minimized.data = await Promise.all(alert.data.map(async (item, i) => item.value === undefined
+        ? minimized.data[i]
+        : { ...minimized.data[i], valueHash: await this.cryptoUtils.generateHMAC(item.value, key) }));
+    }
+    return minimized;
+  }
+
+  async getValueHashKey() {
+    if (!this.valueHashKey) {
+      const { valueHashKey } = await chrome.storage.local.get('valueHashKey');
+      this.valueHashKey = valueHashKey || this.cryptoUtils.generateSecureToken(48);
+      if (!valueHashKey) await chrome.storage.local.set({ valueHashKey: this.valueHashKey });
+    }
+    return this.valueHashKey;
   }
 
   formatAlertMessage(alert) {
+    const message = this.describeAlert(alert);
+    return alert.action === 'block' ? `Blocked: ${message}` : message;
+  }
+
+  describeAlert(alert) {
+    const secret = alert.data?.find(item => item.provider);
     switch (alert.type) {
-      case 'data_transmission': return `Sensitive data sent to ${new URL(alert.url).hostname}`;
-      case 'header_leak': return `Potential header leak on ${new URL(alert.url).hostname}`;
-      case 'breach_detected': return `Email found in ${alert.count} breaches`;
+      case 'data_transmission':
+        if (alert.data?.some(item => item.type === 'unscanned_file')) {
+          return `${alert.file.name} uploaded to ${new URL(alert.url).hostname} without being scanned`;
+        }
+        if (alert.data?.every(item => item.type === 'unscanned_text')) {
+          return `Text sent to ${new URL(alert.url).hostname} was too long to check fully`;
+        }
+        return alert.file
+          ? `${secret ? secret.provider : 'Sensitive data'} in ${alert.file.name} uploaded to ${new URL(alert.url).hostname}`
+          : `${secret ? secret.provider : 'Sensitive data'} sent to ${new URL(alert.url).hostname}`;
+      case 'header_leak': return secret
+        ? `${secret.provider} sent in ${alert.header} header to ${new URL(alert.url).hostname}`
+        : `Potential header leak on ${new URL(alert.url).hostname}`;
+      case 'paste_warning': return `${secret ? secret.provider : 'Sensitive data'} pasted on ${new URL(alert.url).hostname}`;
+      case 'copy_warning': return `${secret ? secret.provider : 'Sensitive data'} copied on ${new URL(alert.url).hostname}`;
+      case 'data_redacted': return `${alert.redactions.length} value(s) redacted ${alert.channel === 'paste' ? 'from text pasted on' : 'before sending to'} ${new URL(alert.url).hostname}`;
+      case 'breach_detected': return alert.breaches
+        ? `Email found in ${alert.count} new breach(es): ${alert.breaches.join(', ')}`
+        : `Email found in ${alert.count} breaches`;
+      case 'exact_match': return `Record from ${alert.datasets.join(', ')}${alert.file ? ` in ${alert.file.name}` : ''} ${alert.channel === 'paste' || alert.channel === 'copy' ? 'seen on' : 'sent to'} ${new URL(alert.url).hostname}`;
+      case 'phishing_risk': return `Possible phishing page on ${new URL(alert.url).hostname} (risk ${alert.score}/100)`;
+      case 'lookalike_domain': return `${alert.displayHost} looks like ${alert.trustedDomain}`;
+      case 'download_risk': return `Risky download ${alert.file.name} from ${new URL(alert.url).hostname}`;
+      case 'clipboard_policy': return alert.action === 'redact'
+        ? `Text copied from ${new URL(alert.sourceOrigin).hostname} redacted before pasting on ${new URL(alert.url).hostname}`
+        : `Text copied from ${new URL(alert.sourceOrigin).hostname} pasted on ${new URL(alert.url).hostname}`;
+      case 'ai_prompt': return `${secret ? secret.provider : 'Sensitive data'} in a prompt to ${new URL(alert.url).hostname}`;
+      case 'password_reuse': return `Password for ${alert.protectedDomain} reused on ${new URL(alert.url).hostname}`;
       default: return 'Security alert detected';
     }
   }
 
-  async clearAlert(id) {
-    this.alertQueue = this.alertQueue.filter(alert => alert.id !== id);
-    await chrome.storage.local.set({ alerts: this.alertQueue });
-    chrome.action.setBadgeText({ text: this.alertQueue.length ? this.alertQueue.length.toString() : '' });
-  }
-
   async updateSettings(settings) {
+    const startsMasking = settings.storeMaskedOnly && !this.userSettings.storeMaskedOnly;
+    const reschedule = ['breachCheckIntervalHours', 'breachCheckJitterMinutes']
+      .some(key => key in settings && settings[key] !== this.userSettings[key]);
     this.userSettings = { ...this.userSettings, ...settings };
+    if (reschedule) await this.scheduleBreachWatch(true);
+    this.applyRegionSettings();
+    this.alertStore.configure(this.userSettings);
+    this.breachService.configure(this.breachProvider, this.userSettings);
+    this.pwnedPasswords.configure(this.userSettings);
     await chrome.storage.local.set({ settings: this.userSettings });
+    // Alerts saved before the switch lose their raw values too
+    if (startsMasking) {
+      await this.alertStore.replaceAll(await Promise.all(this.alertStore.alerts.map(alert => this.minimizeAlert(alert))));
+    } else if (this.alertStore.prune()) {
+      await this.alertStore.save();
+    }
   }
 
-  schedulePeriodicScans() {
-    setInterval(async () => {
-      if (!this.userSettings.darkWebScanning) return;
-      const { watchedEmails = [] } = await chrome.storage.local.get('watchedEmails');
-      for (const email of watchedEmails) {
-        const res = await this.checkDataBreach(email);
-        if (res.breached && res.count > 0) {
-          await this.createAlert({
-            type: 'breach_detected',
-            severity: 'critical',
-            email,
-            count: res.count,
-            timestamp: Date.now()
-          });
-        }
+  // The worker is shut down when idle, so the next run is an alarm; jitter spreads lookups across installs
+  async scheduleBreachWatch(force = false) {
+    if (!force && await chrome.alarms.get('breach-watch')) return;
+    const jitterMinutes = Number(this.userSettings.breachCheckJitterMinutes ?? 60);
+    chrome.alarms.create('breach-watch', {
+      when: Date.now() + this.breachCheckInterval() + Math.random() * jitterMinutes * 60000
+    });
+  }
+
+  breachCheckInterval() {
+    return (Number(this.userSettings.breachCheckIntervalHours) || 24) * 3600000;
+  }
+
+  async runBreachWatch() {
+    try {
+      if (!this.userSettings.darkWebScanning || this.storage.isLocked()) return;
+      const due = (await this.getWatchList())
+        .filter(entry => !entry.lastChecked || Date.now() - entry.lastChecked >= this.breachCheckInterval());
+      for (const entry of due) await this.checkWatchedEmail(entry.email);
+    } catch (e) {
+      console.error('Breach watch failed:', e);
+    } finally {
+      await this.scheduleBreachWatch(true);
+    }
+  }
+
+  async getWatchList() {
+    const { watchedEmails = [] } = await this.storage.get('watchedEmails');
+    // Older versions stored plain email strings
+    return watchedEmails.map(entry => (typeof entry === 'string'
+      ? { email: entry, addedAt: Date.now(), lastChecked: null, status: 'pending', knownBreaches: [], history: [] }
+      : entry));
+  }
+
+  // Serialized so a scheduled check and a popup edit never overwrite each other
+  updateWatchList(change) {
+    const update = this.watchListUpdates.then(async () => {
+      const list = change(await this.getWatchList());
+      await this.storage.set({ watchedEmails: list });
+      return list;
+    });
+    this.watchListUpdates = update.catch(() => {});
+    return update;
+  }
+
+  async watchEmail(email) {
+    const normalized = String(email || '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) throw new Error('Enter a valid email address');
+    await this.updateWatchList(list => (list.some(entry => entry.email === normalized) ? list : [...list, {
+      email: normalized, addedAt: Date.now(), lastChecked: null, status: 'pending', knownBreaches: [], history: []
+    }]));
+    await this.checkWatchedEmail(normalized);
+    return { entries: await this.getWatchList() };
+  }
+
+  // The first successful check records a baseline; later checks alert only on breaches not seen before
+  async checkWatchedEmail(email) {
+    const result = await this.checkDataBreach(email);
+    const checkedAt = Date.now();
+    let newBreaches = [];
+    await this.updateWatchList(list => list.map(entry => {
+      if (entry.email !== email) return entry;
+      if (!result || result.error || result.checked === false) {
+        return {
+          ...entry,
+          status: 'error',
+          history: [{ checkedAt, error: result?.message || result?.reason || 'Lookup failed' }, ...entry.history].slice(0, 20)
+        };
       }
-    }, 86400000); // every 24 hours
+      const names = result.breached ? result.breaches.map(breach => breach.Name) : [];
+      newBreaches = entry.lastChecked ? names.filter(name => !entry.knownBreaches.includes(name)) : [];
+      return {
+        ...entry,
+        status: names.length ? 'breached' : 'clean',
+        lastChecked: checkedAt,
+        knownBreaches: [...new Set([...entry.knownBreaches, ...names])],
+        history: [{ checkedAt, breachCount: names.length, newBreaches }, ...entry.history].slice(0, 20)
+      };
+    }));
+
+    if (newBreaches.length) {
+      await this.createAlert({
+        type: 'breach_detected',
+        severity: 'critical',
+        email,
+        count: newBreaches.length,
+        breaches: newBreaches,
+        timestamp: checkedAt
+      });
+    }
   }
 }
 
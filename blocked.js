@@ -0,0 +1,62 @@
+// Shown instead of a network error when a blocklist rule redirects a navigation here.
+// The rule ID comes from the redirect URL's fragment.
+class BlockedPage {
+  constructor() {
+    this.kindLabels = {
+      domain: 'Domain and its subdomains',
+      wildcard: 'Wildcard host pattern',
+      path: 'Address pattern',
+      adblock: 'Filter list rule'
+    };
+    document.getElementById('goBackBtn').addEventListener('click', () => this.goBack());
+    this.init();
+  }
+
+  async init() {
+    const ruleId = new URLSearchParams(location.hash.slice(1)).get('rule');
+    if (!ruleId) return;
+    try {
+      const { entry } = await chrome.runtime.sendMessage({ type: 'GET_BLOCK_REASON', ruleId });
+      if (entry) this.render(entry);
+    } catch (e) {
+      console.error('Could not load block reason:', e);
+    }
+  }
+
+  render(entry) {
+    document.getElementById('blockSummary').textContent = entry.source === 'Manual'
+      ? 'You added this site to your SecureGuard blocklist.'
+      : `This site is listed in "${entry.source}", which you imported into SecureGuard.`;
+
+    const details = [
+      ['Matched Rule', entry.pattern],
+      ['Rule Type', this.kindLabels[entry.kind] || entry.kind],
+      ['Source', entry.source],
+      ['Reason', entry.reason],
+      ['Blocked Since', new Date(entry.addedAt).toLocaleString()]
+    ];
+    const container = document.getElementById('blockDetails');
+    details.filter(([, value]) => value).forEach(([label, value]) => {
+      const item = document.createElement('div');
+      item.className = 'detail-item';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'detail-label';
+      labelEl.textContent = `${label}:`;
+      const valueEl = document.createElement('span');
+      valueEl.className = 'detail-value';
+      valueEl.textContent = value;
+      item.append(labelEl, valueEl);
+      container.appendChild(item);
+    });
+  }
+
+  goBack() {
+    if (history.length > 1) {
+      history.back();
+    } else {
+      window.close();
+    }
+  }
+}
+
+new BlockedPage();
@@ -0,0 +1,272 @@
+// The blocklist in storage is the source of truth; declarativeNetRequest dynamic rules are derived
+// from it. Every entry owns a fixed pair of rule IDs (navigation redirect, frame block) assigned
+// when it is added, so syncing only ever adds or removes whole entries.
+class BlocklistManager {
+  constructor() {
+    this.firstRuleId = 1000;
+    this.updates = Promise.resolve();
+    this.hitUpdates = Promise.resolve();
+  }
+
+  async init() {
+    const { blocklist = [] } = await chrome.storage.local.get('blocklist');
+    // Rules added by older versions used arbitrary IDs, so they are rebuilt from scratch once
+    if (blocklist.some(entry => typeof entry === 'string')) {
+      const stale = (await chrome.declarativeNetRequest.getDynamicRules()).map(rule => rule.id);
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds: stale });
+      return this.update(() => {});
+    }
+    return this.sync();
+  }
+
+  async load() {
+    const { blocklist = [], blocklistNextRuleId } = await chrome.storage.local.get(['blocklist', 'blocklistNextRuleId']);
+    let nextRuleId = blocklistNextRuleId || this.firstRuleId;
+    // Older versions stored bare hostnames
+    const entries = blocklist.map(entry => {
+      if (typeof entry !== 'string') return entry;
+      const migrated = this.createEntry(entry, { source: 'Manual' }, nextRuleId);
+      nextRuleId += 2;
+      return migrated;
+    });
+    return { entries: entries.filter(Boolean), nextRuleId };
+  }
+
+  // Serialized so bulk imports and single edits never overwrite each other
+  update(change) {
+    const run = this.updates.then(async () => {
+      const state = await this.load();
+      const result = await change(state);
+      // Rules first: if Chrome rejects them, storage still describes what is actually installed
+      await this.sync(state.entries);
+      await chrome.storage.local.set({ blocklist: state.entries, blocklistNextRuleId: state.nextRuleId });
+      return result;
+    });
+    this.updates = run.catch(() => {});
+    return run;
+  }
+
+  // Brings the dynamic rules in line with storage, touching only IDs that differ
+  async sync(entries) {
+    if (!entries) entries = (await this.load()).entries;
+    const expected = new Map(entries.flatMap(entry => this.toRules(entry).map(rule => [rule.id, rule])));
+    const current = await chrome.declarativeNetRequest.getDynamicRules();
+    const currentIds = new Set(current.map(rule => rule.id));
+    const removeRuleIds = [...currentIds].filter(id => id >= this.firstRuleId && !expected.has(id));
+    const addRules = [...expected.values()].filter(rule => !currentIds.has(rule.id));
+    if (removeRuleIds.length || addRules.length) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    }
+  }
+
+  // ---- Patterns ----
+
+  // Accepts "example.com", "*.example.com", "ads*.example.com", "example.com/login/*",
+  // full URLs and Adblock network filters such as "||example.com^"
+  parsePattern(input) {
+    let pattern = String(input || '').trim();
+    if (!pattern) return null;
+
+    if (pattern.startsWith('||') || pattern.startsWith('|')) {
+      const filter = pattern.split('$')[0];
+      if (!/^\|\|?[^\s|]+\|?$/.test(filter) || filter.length < 4) return null;
+      return { kind: 'adblock', pattern: filter, condition: { urlFilter: filter } };
+    }
+
+    pattern = pattern.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '').split('#')[0].toLowerCase();
+    const slash = pattern.indexOf('/');
+    const host = (slash === -1 ? pattern : pattern.slice(0, slash)).replace(/:\d+$/, '').replace(/\.$/, '');
+    const path = slash === -1 ? '' : pattern.slice(slash);
+    if (!/^[a-z0-9*]([a-z0-9*-]*\.)*[a-z0-9*-]+$/.test(host) || host === '*') return null;
+
+    const anchorHost = host.replace(/^\*\./, '');
+    if (path && path !== '/' && path !== '/*') {
+      return { kind: 'path', pattern: `${host}${path}`, condition: { urlFilter: `||${anchorHost}${path}` } };
+    }
+    if (host.includes('*')) {
+      return { kind: 'wildcard', pattern: host, condition: { urlFilter: `||${anchorHost}^` } };
+    }
+    return { kind: 'domain', pattern: host, condition: { requestDomains: [host] } };
+  }
+
+  createEntry(input, { source = 'Manual', reason = '' } = {}, ruleId) {
+    const parsed = this.parsePattern(input);
+    if (!parsed) return null;
+    return { ruleId, ...parsed, source, reason, addedAt: Date.now() };
+  }
+
+  toRules(entry) {
+    return [
+      {
+        id: entry.ruleId,
+        priority: 1,
+        action: { type: 'redirect', redirect: { extensionPath: `/blocked.html#rule=${entry.ruleId}` } },
+        condition: { ...entry.condition, resourceTypes: ['main_frame'] }
+      },
+      {
+        id: entry.ruleId + 1,
+        priority: 1,
+        action: { type: 'block' },
+        condition: { ...entry.condition, resourceTypes: ['sub_frame'] }
+      }
+    ];
+  }
+
+  // Hosts files ("0.0.0.0 example.com"), Adblock lists and plain one-pattern-per-line lists
+  parseList(text) {
+    const patterns = [];
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.replace(/\s#.*$/, '').trim();
+      // Comments, list headers, exceptions and cosmetic filters have nothing to block
+      if (!line || /^[#!\[]/.test(line) || line.startsWith('@@') || line.includes('##') || line.includes('#@#')) continue;
+      const hosts = line.match(/^(?:0\.0\.0\.0|127\.0\.0\.1|::1?)\s+(.+)$/);
+      if (hosts) {
+        hosts[1].split(/\s+/)
+          .filter(host => !['localhost', 'localhost.localdomain', 'local', 'broadcasthost', '0.0.0.0'].includes(host))
+          .forEach(host => patterns.push(host));
+      } else {
+        patterns.push(line);
+      }
+    }
+    return patterns;
+  }
+
+  // ---- Editing ----
+
+  maxEntries() {
+    const limit = chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_RULES ||
+      chrome.declarativeNetRequest.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000;
+    return Math.floor(limit / 2);
+  }
+
+  add(patterns, options = {}) {
+    return this.update(state => {
+      const known = new Set(state.entries.map(entry => `${entry.kind}:${entry.pattern}`));
+      const added = [];
+      const invalid = [];
+      for (const input of patterns) {
+        const entry = this.createEntry(input, options, state.nextRuleId);
+        if (!entry) {
+          invalid.push(input);
+          continue;
+        }
+        const key = `${entry.kind}:${entry.pattern}`;
+        if (known.has(key)) continue;
+        if (state.entries.length >= this.maxEntries()) throw new Error(`The blocklist is full (${this.maxEntries()} entries)`);
+        known.add(key);
+        state.entries.push(entry);
+        added.push(entry);
+        state.nextRuleId += 2;
+      }
+      return { added: added.length, invalid: invalid.length };
+    });
+  }
+
+  remove({ ruleIds = [], source } = {}) {
+    const ids = new Set(ruleIds.map(Number));
+    return this.update(state => {
+      const before = state.entries.length;
+      state.entries = state.entries.filter(entry => !ids.has(entry.ruleId) && (!source || entry.source !== source));
+      return { removed: before - state.entries.length };
+    });
+  }
+
+  // Applies entries the way declarativeNetRequest would, for requests its rules never see (downloads)
+  async match(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname;
+    } catch (e) {
+      return null;
+    }
+    const { entries } = await this.load();
+    return entries.find(entry => (entry.condition.requestDomains
+      ? entry.condition.requestDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))
+      : this.urlFilterToRegExp(entry.condition.urlFilter).test(url))) || null;
+  }
+
+  // "||" anchors to a domain, "|" to the start or end, "^" matches a separator and "*" anything
+  urlFilterToRegExp(filter) {
+    let body = filter;
+    let prefix = '';
+    let suffix = '';
+    if (body.startsWith('||')) {
+      prefix = '^[a-z][a-z0-9+.-]*://(?:[^/?#]*\\.)?';
+      body = body.slice(2);
+    } else if (body.startsWith('|')) {
+      prefix = '^';
+      body = body.slice(1);
+    }
+    if (body.endsWith('|')) {
+      suffix = '$';
+      body = body.slice(0, -1);
+    }
+    const pattern = Array.from(body, ch => {
+      if (ch === '*') return '.*';
+      if (ch === '^') return '(?:[^a-z0-9_.%-]|$)';
+      return ch.replace(/[.+?${}()|[\]\\/]/g, '\\$&');
+    }).join('');
+    return new RegExp(prefix + pattern + suffix, 'i');
+  }
+
+  async find(ruleId) {
+    const { entries } = await this.load();
+    return entries.find(entry => entry.ruleId === Number(ruleId) || entry.ruleId + 1 === Number(ruleId)) || null;
+  }
+
+  // ---- Hit counts ----
+
+  // onRuleMatchedDebug only fires for unpacked installs; packed builds read the matched-rules log instead
+  watchHits() {
+    if (!chrome.declarativeNetRequest.onRuleMatchedDebug) return false;
+    chrome.declarativeNetRequest.onRuleMatchedDebug.addListener(info => {
+      if (info.rule.rulesetId === chrome.declarativeNetRequest.DYNAMIC_RULESET_ID) this.recordHits([info.rule.ruleId]);
+    });
+    return true;
+  }
+
+  // Counters are read, incremented and written back, so every change waits for the one before it;
+  // a refresh holds the queue until its sync time is saved so the same matches are not counted twice
+  updateHits(change) {
+    const run = this.hitUpdates.then(change);
+    this.hitUpdates = run.catch(() => {});
+    return run;
+  }
+
+  refreshHits() {
+    if (chrome.declarativeNetRequest.onRuleMatchedDebug) return Promise.resolve();
+    return this.updateHits(async () => {
+      try {
+        const { blocklistHitsSyncedAt = 0 } = await chrome.storage.local.get('blocklistHitsSyncedAt');
+        const { rulesMatchedInfo } = await chrome.declarativeNetRequest.getMatchedRules({ minTimeStamp: blocklistHitsSyncedAt + 1 });
+        const dynamic = rulesMatchedInfo.filter(info => info.rule.rulesetId === chrome.declarativeNetRequest.DYNAMIC_RULESET_ID);
+        if (!dynamic.length) return;
+        await this.addHits(dynamic.map(info => info.rule.ruleId));
+        await chrome.storage.local.set({ blocklistHitsSyncedAt: Math.max(...dynamic.map(info => info.timeStamp)) });
+      } catch (e) {
+        // getMatchedRules is quota limited outside of user gestures; the next refresh catches up
+        console.warn('Could not read matched rules:', e.message);
+      }
+    });
+  }
+
+  recordHits(ruleIds) {
+    return this.updateHits(() => this.addHits(ruleIds));
+  }
+
+  async addHits(ruleIds) {
+    const { blocklistHits = {} } = await chrome.storage.local.get('blocklistHits');
+    for (const ruleId of ruleIds) {
+      // Both rules of a pair count towards the entry's first ID
+      const entryId = ruleId % 2 === this.firstRuleId % 2 ? ruleId : ruleId - 1;
+      blocklistHits[entryId] = (blocklistHits[entryId] || 0) + 1;
+    }
+    await chrome.storage.local.set({ blocklistHits });
+  }
+
+  async list() {
+    await this.refreshHits();
+    const [{ entries }, { blocklistHits = {} }] = await Promise.all([this.load(), chrome.storage.local.get('blocklistHits')]);
+    return entries.map(entry => ({ ...entry, hits: blocklistHits[entry.ruleId] || 0 }));
+  }
+}
@@ -0,0 +1,117 @@
+// Breach lookups go through a provider so the service, its key and a local mock server are all configuration
+class BreachLookupError extends Error {
+  constructor(kind, message, retryAfter = null) {
+    super(message);
+    this.name = 'BreachLookupError';
+    this.kind = kind;
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Have I Been Pwned v3, or any server that implements its breachedaccount endpoint
+class HibpBreachProvider {
+  constructor({ url, apiKey } = {}) {
+    this.url = (url || HibpBreachProvider.defaultUrl).replace(/\/+$/, '');
+    this.apiKey = apiKey || '';
+  }
+
+  // Resolves to the account's breaches; an account the service has never seen has none
+  async lookup(email) {
+    if (!this.apiKey && this.url === HibpBreachProvider.defaultUrl) {
+      throw new BreachLookupError('unauthorized', 'Add an API key for Have I Been Pwned in Settings');
+    }
+    const headers = { 'User-Agent': 'SecureGuard' };
+    if (this.apiKey) headers['hibp-api-key'] = this.apiKey;
+
+    let res;
+    try {
+      res = await fetch(`${this.url}/breachedaccount/${encodeURIComponent(email)}?truncateResponse=false`, { headers });
+    } catch (e) {
+      throw new BreachLookupError('offline', 'Could not reach the breach service');
+    }
+
+    switch (res.status) {
+      case 200: return res.json();
+      case 404: return [];
+      case 401:
+      case 403:
+        throw new BreachLookupError('unauthorized', 'The breach service rejected the API key');
+      case 429:
+        throw new BreachLookupError('rate_limited', 'The breach service is rate limiting requests',
+          Number(res.headers.get('Retry-After')) || null);
+      default:
+        throw new BreachLookupError('server', `The breach service returned HTTP ${res.status}`);
+    }
+  }
+}
+HibpBreachProvider.defaultUrl = 'https://haveibeenpwned.com/api/v3';
+
+const BREACH_PROVIDERS = {
+  hibp: HibpBreachProvider
+};
+
+// Lookups run one at a time and spaced out so the provider's per-minute limit is never exceeded.
+// Results are cached in session storage, keyed by a hash of the email rather than the email itself.
+class BreachService {
+  constructor(cryptoUtils) {
+    this.cryptoUtils = cryptoUtils;
+    this.queue = Promise.resolve();
+    this.nextRequestAt = 0;
+    this.maxRetries = 2;
+    this.configure();
+  }
+
+  configure(config = {}, settings = {}) {
+    const Provider = BREACH_PROVIDERS[config.provider] || HibpBreachProvider;
+    this.provider = new Provider(config);
+    this.providerId = `${config.provider || 'hibp'}:${this.provider.url}`;
+    this.cacheTtlMs = Number(settings.breachCacheTtlHours ?? 6) * 3600000;
+    this.minIntervalMs = 60000 / (Number(settings.breachRequestsPerMinute) || 10);
+  }
+
+  async check(email) {
+    const normalized = email.trim().toLowerCase();
+    const cacheKey = `breachCache:${await this.cryptoUtils.hash(`${this.providerId}:${normalized}`)}`;
+    const { [cacheKey]: cached } = await chrome.storage.session.get(cacheKey);
+    if (cached && Date.now() - cached.checkedAt < this.cacheTtlMs) return { ...cached, cached: true };
+
+    const breaches = await this.enqueue(() => this.lookupWithBackoff(normalized));
+    const result = { breaches, checkedAt: Date.now() };
+    if (this.cacheTtlMs > 0) await chrome.storage.session.set({ [cacheKey]: result });
+    return result;
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(async () => {
+      const wait = this.nextRequestAt - Date.now();
+      if (wait > 0) await new Promise(resolve => setTimeout(resolve, wait));
+      try {
+        return await task();
+      } finally {
+        this.nextRequestAt = Math.max(this.nextRequestAt, Date.now() + this.minIntervalMs);
+      }
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async lookupWithBackoff(email) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.provider.lookup(email);
+      } catch (e) {
+        if (e.kind !== 'rate_limited' || attempt >= this.maxRetries) throw e;
+        const delay = e.retryAfter ? e.retryAfter * 1000 : this.minIntervalMs * 2 ** (attempt + 1);
+        // Later queued lookups wait out the same window
+        this.nextRequestAt = Date.now() + delay;
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  async clearCache() {
+    const stored = await chrome.storage.session.get(null);
+    const keys = Object.keys(stored).filter(key => key.startsWith('breachCache:'));
+    if (keys.length) await chrome.storage.session.remove(keys);
+  }
+}
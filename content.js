@@ -1,3 +1,13 @@
+// Text without any of these cannot match a built-in detector, so it is pasted natively without a
+// round trip to the background. Keep this a superset of the patterns in the detector files.
+const PASTE_SIGNALS = [
+  /\d/,
+  /@/,
+  /[A-Z]{6}/,
+  /[A-Za-z0-9_+/=-]{20}/,
+  /passw|pwd|api[_-]?key|xox[abposr]-|-----BEGIN|:\/\//i
+];
+
 class ContentScriptGuard {
   constructor() {
     this.sensitiveSelectors = [
@@ -15,12 +25,39 @@ class ContentScriptGuard {
     this.monitoredElements = new Set();
     this.currentAlerts = [];
     this.handleFormSubmissionBound = this.handleFormSubmission.bind(this);
+    this.warningQueue = Promise.resolve();
+    this.masking = new MaskingPolicy();
+    this.pwnedPasswordCache = new Map();
+    this.passwordCheckTimers = new WeakMap();
+    this.warnedPasswords = new WeakMap();
+    this.fileExtractor = new FileTextExtractor();
+    this.fileVerdicts = new WeakMap();
+    this.pendingSelections = new WeakMap();
+    this.releasedEvents = new WeakSet();
+    this.inPageAlerts = new InPageAlerts({
+      onDetails: alertId => chrome.runtime.sendMessage({ type: 'OPEN_ALERT', alertId })
+    });
+    this.submissionBlock = null;
+    this.observedRoots = new WeakSet();
+    this.editorScanTimers = new WeakMap();
+    this.editorSnapshots = new WeakMap();
+    this.aiSite = null;
+    this.approvedPrompts = new WeakMap();
+    this.justifiedValues = new Set();
+    this.pasteProfile = null;
+    this.replayedPastes = new WeakSet();
 
     window.contentGuard = this;
     this.init();
   }
 
   init() {
+    // Page scripts start sending requests before the DOM is ready
+    this.setupPageBridge();
+    this.setupPromptGuard();
+    this.loadPasteProfile();
+    // Rules may have changed while the tab was in the background
+    window.addEventListener('focus', () => this.loadPasteProfile());
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.setupMonitoring());
     } else {
@@ -37,7 +74,7 @@ class ContentScriptGuard {
           this.showInPageAlert(message.alert);
           break;
         case 'BLOCK_SUBMISSION':
-          this.blockFormSubmission && this.blockFormSubmission(message.reason);
+          this.blockFormSubmission(message.reason, message.alertId);
           break;
         case 'HIGHLIGHT_RISKS':
           this.highlightRiskyElements();
@@ -47,107 +84,803 @@ class ContentScriptGuard {
   }
 
   setupMonitoring() {
+    // submit and change do not cross shadow boundaries, so every open shadow root gets these too
+    this.rootListeners = [
+      ['submit', this.handleFormSubmissionBound],
+      ['change', this.handleFileSelection.bind(this)],
+      ['change', this.handleAutofill.bind(this)]
+    ];
     document.addEventListener('submit', this.handleFormSubmissionBound, true);
+    // Registered first so nothing else on the document sees a file event before it is scanned
+    document.addEventListener('input', this.handleFileSelection.bind(this), true);
+    document.addEventListener('change', this.rootListeners[1][1], true);
+    document.addEventListener('drop', this.handleFileDrop.bind(this), true);
     document.addEventListener('input', this.handleInputChange.bind(this), true);
     document.addEventListener('paste', this.handlePaste.bind(this), true);
     document.addEventListener('copy', this.handleCopy.bind(this), true);
-    document.addEventListener('change', this.handleAutofill.bind(this), true);
+    document.addEventListener('cut', this.handleCopy.bind(this), true);
+    document.addEventListener('change', this.rootListeners[2][1], true);
+    // page-hooks.js announces shadow roots attached to elements that are already in the page
+    document.addEventListener('secureguard-shadow-root', event => {
+      const host = this.deepTarget(event);
+      if (host.shadowRoot) this.observeRoot(host.shadowRoot);
+    }, true);
 
     this.setupMutationObserver();
     this.scanExistingElements();
-    this.checkCurrentSecurity && this.checkCurrentSecurity();
+    this.checkLookalikeDomain();
+    this.scheduleSecurityCheck();
+  }
+
+  // Events from inside open shadow roots are retargeted to their host by the time they reach the document
+  deepTarget(event) {
+    const path = event.composedPath();
+    return path.length ? path[0] : event.target;
   }
 
   async handleFormSubmission(event) {
-  const form = event.target;
-  if (!form || form.tagName !== 'FORM') return;
+    const form = event.target;
+    if (!form || form.tagName !== 'FORM') return;
+    // Chat composers are checked by the prompt guard before the page gets to submit them
+    if (this.aiSite && this.promptFieldIn(form)) return;
 
-  event.preventDefault();
+    event.preventDefault();
+    if (this.submissionBlock) {
+      this.showBlockedToast(`Submission blocked: ${this.submissionBlock}`);
+      return;
+    }
 
-  const formData = new FormData(form);
-  const dataString = Array.from(formData.entries())
-    .map(([key, value]) => `${key}: ${value}`)
-    .join(' ');
+    const formData = new FormData(form);
+    const destination = form.action || window.location.href;
+    try {
+      const { match, allowed } = await chrome.runtime.sendMessage({ type: 'CHECK_LOOKALIKE', url: destination, channel: 'form' });
+      if (match && !allowed && !(await this.confirmLookalike(match))) return;
+    } catch (e) {
+      console.error('Error checking form destination:', e);
+    }
 
-  try {
-    const result = await chrome.runtime.sendMessage({
-      type: 'SCAN_DATA',
-      data: dataString
-    });
+    const passwordInputs = Array.from(form.querySelectorAll('input[type="password"]')).filter(input => input.value);
+    if (passwordInputs.length) {
+      try {
+        const reuse = await chrome.runtime.sendMessage({
+          type: 'CHECK_PASSWORD_REUSE',
+          passwords: passwordInputs.map(input => input.value)
+        });
+        if (reuse.reused) {
+          passwordInputs.forEach(input => this.highlightElement(input, 'danger'));
+          await this.showPasswordReuseWarning(reuse.domain);
+          return;
+        }
+      } catch (e) {
+        console.error('Error checking password reuse:', e);
+      }
+    }
 
-    if (result && result.sensitiveData && result.sensitiveData.length > 0) {
-      const shouldBlock = await this.showSubmissionWarning(result, form.action || window.location.href);
-      if (shouldBlock) {
-        // Show visual feedback for blocking
-        let toast = document.createElement('div');
-        toast.textContent = "Submission blocked for your safety.";
-        toast.style.cssText = `
-          position: fixed; bottom: 30px; left: 50%; transform: translateX(-50%);
-          background: #d32f2f; color: white; padding: 12px 32px; border-radius: 5px;
-          z-index: 100002; font-size: 18px; box-shadow: 0 2px 8px #0006;
-        `;
-        document.body.appendChild(toast);
-        setTimeout(() => toast.remove(), 3000);
-        // Stay on page, do not submit
-        return;
-      } else {
-        form.removeEventListener('submit', this.handleFormSubmissionBound, true);
-        form.submit();
+    // Files were usually scanned when they were picked; anything new is scanned now
+    const files = Array.from(formData.values()).filter(value => value instanceof File && value.size);
+    if (files.length && (await this.reviewFiles(files, destination)).length < files.length) return;
+
+    const dataString = Array.from(formData.entries())
+      .filter(([, value]) => typeof value === 'string')
+      .map(([key, value]) => `${key}: ${value}`)
+      .join(' ');
+
+    let action = 'allow';
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'SCAN_DATA',
+        data: dataString,
+        channel: 'form',
+        url: destination
+      });
+      action = await this.decideAction(result, destination);
+      if (action === 'allow' || action === 'log') await this.approveValues(result, dataString);
+    } catch (e) {
+      console.error('Error scanning form submission:', e);
+    }
+
+    if (action === 'block') {
+      this.showBlockedToast('Submission blocked for your safety.');
+      // Stay on page, do not submit
+      return;
+    }
+    if (action === 'redact') {
+      try {
+        await this.submitRedactedForm(form, formData, destination);
+      } catch (e) {
+        console.error('Error redacting form submission:', e);
+        this.showBlockedToast('Submission blocked: sensitive data could not be redacted.');
       }
-    } else {
-      form.removeEventListener('submit', this.handleFormSubmissionBound, true);
-      form.submit();
+      return;
     }
-  } catch (e) {
     form.removeEventListener('submit', this.handleFormSubmissionBound, true);
     form.submit();
   }
-}
 
+  // The page's own form keeps the original values; a detached copy carries the redacted FormData
+  async submitRedactedForm(form, formData, destination) {
+    const entries = Array.from(formData.entries());
+    const textEntries = entries.filter(([, value]) => typeof value === 'string');
+    const { values } = await this.requestRedaction(
+      textEntries.map(([name, value]) => ({ name, value })),
+      'form',
+      destination
+    );
 
-  handleInputChange(event) {
-    const input = event.target;
-    if (!this.isSensitiveInput(input) || input.value.length < 10) return;
-    chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: input.value }).then(result => {
-      if (result && result.sensitiveData && result.sensitiveData.length > 0) {
-        this.highlightElement(input, 'warning');
-        this.showTooltip(input, 'Sensitive data detected');
+    const redacted = new FormData();
+    let next = 0;
+    entries.forEach(([name, value]) => redacted.append(name, typeof value === 'string' ? values[next++] : value));
+
+    const copy = document.createElement('form');
+    copy.action = destination;
+    copy.method = form.method;
+    copy.enctype = form.enctype;
+    copy.target = form.target;
+    copy.acceptCharset = form.acceptCharset;
+    copy.style.display = 'none';
+    for (const [name, value] of redacted.entries()) {
+      const input = document.createElement('input');
+      input.name = name;
+      if (typeof value === 'string') {
+        input.type = 'hidden';
+        input.value = value;
+      } else {
+        const files = new DataTransfer();
+        files.items.add(value);
+        input.type = 'file';
+        input.files = files.files;
       }
+      copy.appendChild(input);
+    }
+    document.body.appendChild(copy);
+    copy.submit();
+    copy.remove();
+  }
+
+  // File inputs hold their input and change events until every selected file has been scanned;
+  // blocked files are taken out of the selection before the page sees it
+  handleFileSelection(event) {
+    const input = this.deepTarget(event);
+    if (!input || input.tagName !== 'INPUT' || input.type !== 'file' || this.releasedEvents.has(event)) return;
+    if (!input.files || !input.files.length) return;
+    event.stopImmediatePropagation();
+
+    // Both events of one selection share a single review
+    const selection = input.files;
+    if (!this.pendingSelections.has(selection)) {
+      const target = input.form?.action || window.location.href;
+      this.pendingSelections.set(selection, this.reviewFiles(Array.from(selection), target).then(allowed => {
+        if (allowed.length < selection.length) input.files = this.toFileList(allowed);
+        return allowed;
+      }));
+    }
+    this.pendingSelections.get(selection).then(allowed => {
+      if (allowed.length) this.releaseEvent(input, new Event(event.type, { bubbles: true }));
     });
   }
 
+  handleFileDrop(event) {
+    if (this.releasedEvents.has(event) || !event.dataTransfer || !event.dataTransfer.files.length) return;
+    // The drop's DataTransfer is emptied once this handler returns, so the files are copied now
+    const files = Array.from(event.dataTransfer.files);
+    const target = this.deepTarget(event);
+    const { clientX, clientY, screenX, screenY, ctrlKey, shiftKey, altKey, metaKey } = event;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    this.reviewFiles(files, window.location.href).then(allowed => {
+      if (!allowed.length) return;
+      // A synthetic drop has no default action, so drops onto a file input fill it here
+      if (target.tagName === 'INPUT' && target.type === 'file') {
+        target.files = this.toFileList(allowed);
+        this.releaseEvent(target, new Event('input', { bubbles: true }));
+        this.releaseEvent(target, new Event('change', { bubbles: true }));
+        return;
+      }
+      this.releaseEvent(target, new DragEvent('drop', {
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        clientX, clientY, screenX, screenY, ctrlKey, shiftKey, altKey, metaKey,
+        dataTransfer: this.toDataTransfer(allowed)
+      }));
+    });
+  }
+
+  releaseEvent(target, event) {
+    this.releasedEvents.add(event);
+    target.dispatchEvent(event);
+  }
+
+  toDataTransfer(files) {
+    const transfer = new DataTransfer();
+    files.forEach(file => transfer.items.add(file));
+    return transfer;
+  }
+
+  toFileList(files) {
+    return this.toDataTransfer(files).files;
+  }
+
+  // Resolves to the files that may be uploaded
+  async reviewFiles(files, target) {
+    const allowed = [];
+    for (const file of files) {
+      if (await this.scanFile(file, target) === 'allow') {
+        allowed.push(file);
+      } else {
+        this.showBlockedToast(`Upload of ${file.name} blocked for your safety.`);
+      }
+    }
+    return allowed;
+  }
+
+  // A file is only asked about once, however many times the page hands it around
+  scanFile(file, target) {
+    if (!this.fileVerdicts.has(file)) this.fileVerdicts.set(file, this.decideFile(file, target));
+    return this.fileVerdicts.get(file);
+  }
+
+  async decideFile(file, target) {
+    // Formats without extractable text are not held up; supported files that could not be read go to the policy
+    const extracted = await this.fileExtractor.extract(file);
+    if (extracted && extracted.error) return this.decideUnscannedFile(file, target, extracted.error);
+    if (!extracted || !extracted.text.trim()) return 'allow';
+    let action = 'allow';
+    try {
+      const result = await chrome.runtime.sendMessage({
+        type: 'SCAN_DATA',
+        data: extracted.text,
+        channel: 'upload',
+        url: target,
+        file: { name: file.name, size: file.size, type: file.type, truncated: extracted.truncated }
+      });
+      action = await this.decideAction(result, target, {
+        title: 'Sensitive Data in File Upload',
+        targetLabel: `Uploading "${file.name}" to`,
+        blockLabel: 'Remove File',
+        continueLabel: 'Upload Anyway',
+        redactLabel: null
+      });
+    } catch (e) {
+      console.error('Error scanning file:', e);
+    }
+    // A file cannot be rewritten, so a redact decision keeps it from being uploaded
+    return this.isBlockingAction(action) ? 'block' : 'allow';
+  }
+
+  // Without a policy rule the upload goes ahead, but the user is told the file was not checked
+  async decideUnscannedFile(file, target, reason) {
+    let result;
+    let action = 'log';
+    try {
+      result = await chrome.runtime.sendMessage({
+        type: 'REPORT_UNSCANNED_FILE',
+        url: target,
+        reason,
+        file: { name: file.name, size: file.size, type: file.type }
+      });
+      action = await this.decideAction(result, target, {
+        title: 'File Could Not Be Scanned',
+        targetLabel: `Uploading "${file.name}" to`,
+        blockLabel: 'Remove File',
+        continueLabel: 'Upload Anyway',
+        redactLabel: null
+      });
+    } catch (e) {
+      console.error('Error reporting unscanned file:', e);
+    }
+    if (this.isBlockingAction(action)) return 'block';
+    this.showInPageAlert({
+      type: 'unscanned_file',
+      message: `${file.name} was uploaded without a check for sensitive data: ${reason}`,
+      severity: 'low',
+      alertId: result?.alertId
+    });
+    return 'allow';
+  }
+
+  requestRedaction(values, channel, url, api) {
+    return chrome.runtime.sendMessage({ type: 'REDACT_DATA', values, channel, url, api });
+  }
+
+  // Resolves to allow, log, redact or block, asking the user when the policy says warn
+  async decideAction(result, target, options) {
+    const action = this.getPolicyAction(result);
+    return action === 'warn' ? this.showSubmissionWarning(result, target, options) : action;
+  }
+
+  setupPageBridge() {
+    window.addEventListener('message', event => {
+      const message = event.data;
+      if (event.source !== window || !message || message.source !== 'secureguard-page' || message.kind !== 'request') return;
+      this.handlePageRequest(message);
+    });
+  }
+
+  postToPage(message) {
+    window.postMessage({ source: 'secureguard-content', ...message }, '*');
+  }
+
+  async handlePageRequest({ id, api, url, method, body }) {
+    this.postToPage({ kind: 'ack', id });
+    let action = 'allow';
+    try {
+      const data = [url, body].filter(Boolean).join('\n');
+      const result = await chrome.runtime.sendMessage({ type: 'SCAN_DATA', data, channel: 'request_body', url, api });
+      action = await this.decideAction(result, url, {
+        title: 'Sensitive Data in Page Request',
+        targetLabel: `${method} request to`,
+        blockLabel: 'Block Request',
+        continueLabel: 'Send Anyway'
+      });
+      if (action === 'allow' || action === 'log') await this.approveValues(result, data);
+    } catch (e) {
+      console.error('Error scanning page request:', e);
+    }
+
+    let verdict = { action: action === 'block' ? 'block' : 'allow' };
+    if (action === 'redact') {
+      try {
+        const { values: [redactedUrl, redactedBody] } = await this.requestRedaction(
+          [{ value: url }, { value: body || '' }],
+          'request_body',
+          url,
+          api
+        );
+        // The destination itself cannot be rewritten, so data in the URL means the request is blocked
+        verdict = redactedUrl === url ? { action: 'redact', body: redactedBody } : { action: 'block' };
+      } catch (e) {
+        console.error('Error redacting page request:', e);
+        verdict = { action: 'block' };
+      }
+    }
+
+    this.postToPage({ kind: 'verdict', id, ...verdict });
+    if (verdict.action === 'block') this.showBlockedToast('Request blocked for your safety.');
+  }
+
+  // Values let through here are not alerted on again when the background sees the request go out
+  async approveValues(result, text) {
+    const values = (result?.sensitiveData || []).map(item => item.value ?? text.slice(item.start, item.end));
+    if (values.length) await chrome.runtime.sendMessage({ type: 'APPROVE_VALUES', values });
+  }
+
+  getPolicyAction(result) {
+    if (!result || !result.sensitiveData || result.sensitiveData.length === 0) return 'allow';
+    return result.decision?.action || 'warn';
+  }
+
+  // Copied text cannot be redacted, so a redact decision must never let raw data through
+  isBlockingAction(action) {
+    return action === 'block' || action === 'redact';
+  }
+
+  showBlockedToast(message) {
+    this.inPageAlerts.toast({ severity: 'high', title: 'Blocked by SecureGuard', message });
+  }
+
+  handleInputChange(event) {
+    const input = this.deepTarget(event);
+    if (input.type === 'password') this.schedulePasswordCheck(input);
+    const editor = this.editingHost(input);
+    const promptField = this.aiSite && this.promptField(input);
+    if (promptField) this.lastPromptField = promptField;
+    if (editor || input.tagName === 'TEXTAREA' || this.isSensitiveInput(input)) this.scheduleEditorScan(editor || input);
+  }
+
+  // Rich editors fire input on every keystroke inside a contenteditable region; the region as a
+  // whole is the scan target
+  editingHost(el) {
+    if (!el || !el.isContentEditable) return null;
+    let host = el;
+    while (host.parentElement && host.parentElement.isContentEditable) host = host.parentElement;
+    return host;
+  }
+
+  scheduleEditorScan(el) {
+    clearTimeout(this.editorScanTimers.get(el));
+    this.editorScanTimers.set(el, setTimeout(() => {
+      this.scanEditor(el).catch(e => console.error('Error scanning field:', e));
+    }, 750));
+  }
+
+  // Only the text around what changed since the last scan is sent, so long documents are not
+  // rescanned on every pause in typing
+  async scanEditor(el) {
+    const text = el.isContentEditable ? el.innerText : el.value;
+    const previous = this.editorSnapshots.get(el) || '';
+    if (text === previous) return;
+    this.editorSnapshots.set(el, text);
+    const changed = this.changedRegion(previous, text, 64);
+    if (changed.trim().length < 10) return;
+    const result = await chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: changed });
+    if (result && result.sensitiveData && result.sensitiveData.length > 0) {
+      this.highlightElement(el, 'warning');
+      this.showTooltip(el, 'Sensitive data detected');
+    }
+  }
+
+  // The edited span of after, widened by context characters so values typed across it are still whole
+  changedRegion(before, after, context) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let end = 0;
+    while (end < before.length - start && end < after.length - start &&
+      before[before.length - 1 - end] === after[after.length - 1 - end]) end++;
+    return after.slice(Math.max(0, start - context), Math.min(after.length, after.length - end + context));
+  }
+
+  schedulePasswordCheck(input) {
+    clearTimeout(this.passwordCheckTimers.get(input));
+    this.passwordCheckTimers.set(input, setTimeout(() => {
+      this.checkPwnedPassword(input).catch(e => console.error('Error checking password:', e));
+    }, 800));
+  }
+
+  // The password is hashed here and only the first five hex characters of the hash are sent
+  // to the extension; the rest is matched against the returned suffixes in this script
+  async checkPwnedPassword(input) {
+    const password = input.value;
+    // crypto.subtle only exists on secure pages
+    if (password.length < 4 || !crypto.subtle) return;
+    const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(password));
+    const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+
+    if (!this.pwnedPasswordCache.has(hash)) {
+      const response = await chrome.runtime.sendMessage({ type: 'PWNED_PASSWORD_RANGE', prefix: hash.slice(0, 5) });
+      if (!response || response.error || response.disabled) return;
+      this.pwnedPasswordCache.set(hash, response.suffixes[hash.slice(5)] || 0);
+    }
+    const count = this.pwnedPasswordCache.get(hash);
+    if (!count || input.value !== password || this.warnedPasswords.get(input) === hash) return;
+    this.warnedPasswords.set(input, hash);
+    this.highlightElement(input, 'danger');
+    this.showTooltip(input, `This password appears in ${count.toLocaleString()} breaches`);
+  }
+
+  loadPasteProfile() {
+    chrome.runtime.sendMessage({ type: 'GET_PASTE_PROFILE' }).then(profile => {
+      if (profile) this.pasteProfile = profile;
+    }).catch(e => console.error('Error loading paste settings:', e));
+  }
+
+  // Until the profile arrives every paste is reviewed
+  pasteNeedsReview(text) {
+    const profile = this.pasteProfile || { scanAll: true };
+    if (profile.scanAll) return true;
+    if (profile.clipboardGuarded && text.replace(/\s+/g, ' ').trim().length >= 8) return true;
+    return PASTE_SIGNALS.some(signal => signal.test(text));
+  }
+
   handlePaste(event) {
+    if (this.replayedPastes.has(event)) return;
     const pastedText = event.clipboardData?.getData('text') || '';
-    if (!pastedText) return;
-    chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: pastedText }).then(result => {
-      if (result && result.sensitiveData && result.sensitiveData.length > 0) {
-        this.showInPageAlert({
-          type: 'paste_warning',
-          message: 'Sensitive data detected in pasted text',
-          severity: 'medium',
-          data: result.sensitiveData
-        });
+    if (!pastedText || event.clipboardData.files.length) return;
+    const target = this.deepTarget(event);
+    if (!this.isEditable(target) || !this.pasteNeedsReview(pastedText)) return;
+    // Hold the paste until the policy has decided; completePaste replays it where it was aimed
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    const data = {};
+    for (const type of event.clipboardData.types) data[type] = event.clipboardData.getData(type);
+    this.decidePaste({ target, text: pastedText, data, selection: this.captureSelection(target) });
+  }
+
+  captureSelection(target) {
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA') {
+      return typeof target.selectionStart === 'number' ? { start: target.selectionStart, end: target.selectionEnd } : null;
+    }
+    const selection = window.getSelection();
+    return selection.rangeCount ? { range: selection.getRangeAt(0).cloneRange() } : null;
+  }
+
+  restoreSelection(target, saved) {
+    if (target.focus) target.focus();
+    if (!saved) return;
+    if (saved.range) {
+      const selection = window.getSelection();
+      selection.removeAllRanges();
+      selection.addRange(saved.range);
+    } else {
+      target.setSelectionRange(saved.start, saved.end);
+    }
+  }
+
+  // The held paste is dispatched again at the caret it was aimed at, so editors that handle paste
+  // themselves still see it. Redacted text replaces the clipboard contents, formatting and all.
+  // Plain fields ignore a synthetic paste, so the text is inserted when no handler took it.
+  completePaste(paste, text) {
+    const data = new DataTransfer();
+    if (text === paste.text) {
+      for (const [type, value] of Object.entries(paste.data)) data.setData(type, value);
+    } else {
+      data.setData('text/plain', text);
+    }
+    this.restoreSelection(paste.target, paste.selection);
+    const replay = new ClipboardEvent('paste', { clipboardData: data, bubbles: true, cancelable: true, composed: true });
+    this.replayedPastes.add(replay);
+    if (paste.target.dispatchEvent(replay)) document.execCommand('insertText', false, text);
+  }
+
+  async decidePaste(paste) {
+    const { target, text: pastedText } = paste;
+    // Where the text was copied from is decided first: a source rule applies whatever the text holds
+    const source = await this.checkClipboardSource(pastedText);
+    if (source.action === 'block') {
+      this.showInPageAlert({
+        type: 'clipboard_policy',
+        message: `Paste blocked: text copied from ${new URL(source.sourceOrigin).hostname} cannot be pasted on this site`,
+        severity: 'high',
+        alertId: source.alertId
+      });
+      return;
+    }
+    if (source.action === 'redact') {
+      this.completePaste(paste, source.text);
+      this.showInPageAlert({
+        type: 'clipboard_policy',
+        message: `Sensitive data redacted from text copied from ${new URL(source.sourceOrigin).hostname}`,
+        severity: 'medium',
+        alertId: source.alertId
+      });
+      return;
+    }
+    if (this.aiSite && this.promptField(target)) return this.decidePromptPaste(paste);
+    let result;
+    let action = 'allow';
+    try {
+      result = await chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: pastedText, channel: 'paste' });
+      action = await this.decideAction(result, window.location.href, {
+        title: 'Sensitive Data in Pasted Text',
+        targetLabel: 'Page',
+        blockLabel: 'Cancel Paste',
+        continueLabel: 'Paste Anyway'
+      });
+    } catch (e) {
+      console.error('Error scanning paste:', e);
+    }
+
+    if (action === 'redact') {
+      try {
+        const { values: [redacted] } = await this.requestRedaction([{ value: pastedText }], 'paste', window.location.href);
+        this.completePaste(paste, redacted);
+      } catch (e) {
+        console.error('Error redacting paste:', e);
+        action = 'block';
       }
+    }
+    if (action === 'block') {
+      this.showBlockedToast('Paste blocked for your safety.');
+    } else if (action !== 'redact') {
+      this.completePaste(paste, pastedText);
+    }
+    // A log-only policy is recorded by the background without telling the user
+    if (action === 'block' || action === 'redact') {
+      this.showInPageAlert({
+        type: 'paste_warning',
+        message: action === 'block' ? 'Paste blocked: sensitive data detected' : 'Sensitive data redacted from pasted text',
+        severity: 'medium',
+        data: result.sensitiveData,
+        alertId: result.alertId
+      });
+    }
+  }
+
+  // ---- AI prompt guard ----
+
+  // Registered before the page's own scripts run so Enter and send clicks are seen first; both
+  // handlers stay idle unless the background says this is an AI chat site
+  setupPromptGuard() {
+    window.addEventListener('keydown', this.handlePromptKey.bind(this), true);
+    window.addEventListener('click', this.handlePromptClick.bind(this), true);
+    chrome.runtime.sendMessage({ type: 'GET_AI_SITE' }).then(response => {
+      this.aiSite = response && response.site;
+    }).catch(e => console.error('Error loading AI site settings:', e));
+  }
+
+  promptField(el) {
+    if (!el || !el.closest || el.closest('.secureguard-modal')) return null;
+    if (el.tagName === 'TEXTAREA') return el;
+    return this.editingHost(el);
+  }
+
+  // The composer for a send button is the prompt field in its form, else the one last typed in
+  findPromptField(from) {
+    const form = from.closest('form');
+    const field = form && this.promptFieldIn(form);
+    if (field) return field;
+    return this.lastPromptField && this.lastPromptField.isConnected ? this.lastPromptField : null;
+  }
+
+  promptFieldIn(container) {
+    const field = Array.from(container.querySelectorAll('textarea, [contenteditable]'))
+      .find(el => el.tagName === 'TEXTAREA' || el.isContentEditable);
+    return field ? this.promptField(field) : null;
+  }
+
+  promptText(field) {
+    return field.isContentEditable ? field.innerText : field.value;
+  }
+
+  isSendButton(button) {
+    const label = [button.getAttribute('aria-label'), button.getAttribute('data-testid'), button.title, button.textContent].join(' ');
+    return button.type === 'submit' || /\bsend\b|submit/i.test(label);
+  }
+
+  handlePromptKey(event) {
+    if (!this.aiSite || event.key !== 'Enter' || event.shiftKey || event.isComposing || this.releasedEvents.has(event)) return;
+    const field = this.promptField(this.deepTarget(event));
+    if (!field || !this.needsPromptReview(field)) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    const { key, code, keyCode, ctrlKey, metaKey, altKey } = event;
+    this.reviewPrompt(field).then(send => {
+      if (!send) return;
+      this.releaseEvent(field, new KeyboardEvent('keydown', {
+        key, code, keyCode, which: keyCode, ctrlKey, metaKey, altKey, bubbles: true, cancelable: true, composed: true
+      }));
     });
   }
 
+  handlePromptClick(event) {
+    if (!this.aiSite || this.releasedEvents.has(event)) return;
+    const target = this.deepTarget(event);
+    const button = target.closest && target.closest('button, [role="button"], input[type="submit"]');
+    if (!button || !this.isSendButton(button)) return;
+    const field = this.findPromptField(button);
+    if (!field || !this.needsPromptReview(field)) return;
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    this.reviewPrompt(field).then(send => {
+      if (send) this.releaseEvent(button, new MouseEvent('click', { bubbles: true, cancelable: true, composed: true, view: window }));
+    });
+  }
+
+  // Prompts already checked as they stand are let through without asking again
+  needsPromptReview(field) {
+    const text = this.promptText(field);
+    return Boolean(text.trim()) && this.approvedPrompts.get(field) !== text;
+  }
+
+  // Resolves to true when the prompt, redacted if the user chose that, may be sent
+  async reviewPrompt(field) {
+    const text = this.promptText(field);
+    let action = 'allow';
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: text, channel: 'ai_prompt' });
+      action = await this.decidePrompt(result, 'send');
+    } catch (e) {
+      console.error('Error scanning prompt:', e);
+    }
+    if (action === 'redact') {
+      const redacted = await this.redactPrompt(text);
+      if (redacted === null) {
+        this.showBlockedToast('Prompt not sent: sensitive data could not be redacted.');
+        return false;
+      }
+      this.replacePromptText(field, redacted);
+    }
+    if (action === 'block') return false;
+    this.approvedPrompts.set(field, this.promptText(field));
+    return true;
+  }
+
+  async decidePromptPaste(paste) {
+    const pastedText = paste.text;
+    let action = 'allow';
+    try {
+      const result = await chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: pastedText, channel: 'ai_prompt' });
+      action = await this.decidePrompt(result, 'paste');
+    } catch (e) {
+      console.error('Error scanning paste:', e);
+    }
+    if (action === 'redact') {
+      const redacted = await this.redactPrompt(pastedText);
+      if (redacted === null) {
+        this.showBlockedToast('Paste blocked: sensitive data could not be redacted.');
+      } else {
+        this.completePaste(paste, redacted);
+      }
+    } else if (action !== 'block') {
+      this.completePaste(paste, pastedText);
+    }
+  }
+
+  // Asks when the site or policy says warn and records the answer on the alert
+  async decidePrompt(result, kind) {
+    let action = this.getPolicyAction(result);
+    // Data the user already gave a reason for on this page is not asked about again
+    if (action === 'warn' && result.sensitiveData.every(item => item.value !== undefined && this.justifiedValues.has(item.value))) {
+      action = 'allow';
+    }
+    if (action === 'block') {
+      this.showBlockedToast(kind === 'paste'
+        ? 'Paste blocked: sensitive data is not allowed in prompts on this site.'
+        : 'Prompt not sent: sensitive data is not allowed in prompts on this site.');
+    }
+    if (action !== 'warn') return action;
+
+    const { action: choice, justification } = await this.showPromptWarning(result, kind);
+    if (choice === 'allow') result.sensitiveData.forEach(item => item.value !== undefined && this.justifiedValues.add(item.value));
+    if (result.alertId) {
+      const decisions = { allow: 'sent', redact: 'redacted', block: 'cancelled' };
+      chrome.runtime.sendMessage({ type: 'RESOLVE_PROMPT', alertId: result.alertId, decision: decisions[choice], justification })
+        .catch(e => console.error('Error recording prompt decision:', e));
+    }
+    return choice;
+  }
+
+  async redactPrompt(text) {
+    try {
+      const { values: [redacted] } = await this.requestRedaction([{ value: text }], 'ai_prompt', window.location.href);
+      return redacted;
+    } catch (e) {
+      console.error('Error redacting prompt:', e);
+      return null;
+    }
+  }
+
+  // Selecting everything and inserting keeps the editor's own undo history and change events
+  replacePromptText(field, text) {
+    field.focus();
+    if (field.isContentEditable) {
+      window.getSelection().selectAllChildren(field);
+    } else {
+      field.select();
+    }
+    document.execCommand('insertText', false, text);
+  }
+
+  isEditable(el) {
+    if (!el) return false;
+    if (el.isContentEditable || el.tagName === 'TEXTAREA') return true;
+    return el.tagName === 'INPUT' && !['checkbox', 'radio', 'file', 'submit', 'button', 'image', 'reset'].includes(el.type);
+  }
+
+  async checkClipboardSource(text) {
+    try {
+      return await chrome.runtime.sendMessage({ type: 'CHECK_PASTE', text }) || { action: 'allow' };
+    } catch (e) {
+      console.error('Error checking clipboard policy:', e);
+      return { action: 'allow' };
+    }
+  }
+
+  // Document selections do not include text selected inside an input or textarea
+  selectedText(event) {
+    const target = this.deepTarget(event);
+    if ((target.tagName === 'TEXTAREA' || target.tagName === 'INPUT') && typeof target.selectionStart === 'number') {
+      return target.value.slice(target.selectionStart, target.selectionEnd);
+    }
+    return window.getSelection().toString();
+  }
+
   handleCopy(event) {
-    const selection = window.getSelection().toString();
+    const selection = this.selectedText(event);
+    if (!selection) return;
+    // The background keeps a fingerprint of the text and this origin for the clipboard policy
+    chrome.runtime.sendMessage({ type: 'RECORD_COPY', text: selection })
+      .catch(e => console.error('Error recording copy:', e));
     if (selection.length < 10) return;
-    chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: selection }).then(result => {
-      if (result && result.sensitiveData && result.sensitiveData.length > 0) {
-        this.showInPageAlert({
-          type: 'copy_warning',
-          message: 'Sensitive data detected in copied text',
-          severity: 'low',
-          data: result.sensitiveData
-        });
-      }
+    chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: selection, channel: 'copy' }).then(result => {
+      const action = this.getPolicyAction(result);
+      if (action === 'allow' || action === 'log') return;
+      const blocked = this.isBlockingAction(action);
+      // The copy already happened, so a blocking decision empties the clipboard afterwards
+      if (blocked) navigator.clipboard.writeText('').catch(() => {});
+      this.showInPageAlert({
+        type: 'copy_warning',
+        message: blocked ? 'Copy blocked: sensitive data removed from clipboard' : 'Sensitive data detected in copied text',
+        severity: blocked ? 'medium' : 'low',
+        data: result.sensitiveData,
+        alertId: result.alertId
+      });
     });
   }
 
   handleAutofill(event) {
-    const input = event.target;
+    const input = this.deepTarget(event);
     if (input.tagName !== 'INPUT' || !event.isTrusted) return;
     setTimeout(() => {
       chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: input.value }).then(result => {
@@ -159,6 +892,10 @@ class ContentScriptGuard {
   }
 
   setupMutationObserver() {
+    this.observeMutations(document.body || document.documentElement);
+  }
+
+  observeMutations(root) {
     const observer = new MutationObserver(mutations => {
       mutations.forEach(mutation => {
         mutation.addedNodes.forEach(node => {
@@ -166,13 +903,21 @@ class ContentScriptGuard {
         });
       });
     });
-    observer.observe(document.body, { childList: true, subtree: true });
+    observer.observe(root, { childList: true, subtree: true });
+  }
+
+  // Mutations inside a shadow root are not reported to the document's observer, so each open
+  // root is observed and scanned on its own
+  observeRoot(root) {
+    if (this.observedRoots.has(root)) return;
+    this.observedRoots.add(root);
+    this.rootListeners.forEach(([type, listener]) => root.addEventListener(type, listener, true));
+    this.observeMutations(root);
+    this.scanNewElement(root);
   }
 
   scanExistingElements() {
-    this.sensitiveSelectors.forEach(sel => {
-      document.querySelectorAll(sel).forEach(el => this.monitorElement(el));
-    });
+    this.scanNewElement(document);
   }
 
   scanNewElement(node) {
@@ -180,12 +925,142 @@ class ContentScriptGuard {
       if (node.matches && node.matches(sel)) this.monitorElement(node);
       node.querySelectorAll && node.querySelectorAll(sel).forEach(el => this.monitorElement(el));
     });
+    if (node.shadowRoot) this.observeRoot(node.shadowRoot);
+    node.querySelectorAll && node.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) this.observeRoot(el.shadowRoot);
+    });
+  }
+
+  // querySelectorAll across the document and every open shadow root inside it
+  deepQuerySelectorAll(selector, root = document) {
+    const found = Array.from(root.querySelectorAll(selector));
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) found.push(...this.deepQuerySelectorAll(selector, el.shadowRoot));
+    });
+    return found;
   }
 
   monitorElement(el) {
     if (this.monitoredElements.has(el)) return;
     this.monitoredElements.add(el);
     this.addIndicator(el);
+    // Login forms are often rendered after load, so the page is assessed again when one appears
+    if (el.type === 'password') this.scheduleSecurityCheck();
+  }
+
+  scheduleSecurityCheck() {
+    clearTimeout(this.securityCheckTimer);
+    this.securityCheckTimer = setTimeout(() => {
+      this.checkCurrentSecurity().catch(e => console.error('Error checking page security:', e));
+    }, 500);
+  }
+
+  // Structural phishing signals are collected here; the service worker adds the brand checks,
+  // scores the page and records the alert
+  async checkCurrentSecurity() {
+    if (!/^https?:$/.test(location.protocol)) return;
+    const passwordFields = document.querySelectorAll('input[type=password]');
+    const findings = [];
+
+    if (passwordFields.length && location.protocol === 'http:' && !this.isLocalHost(location.hostname)) {
+      findings.push({ id: 'insecure_password', message: 'Password field on a page without HTTPS' });
+    }
+    new Set(Array.from(passwordFields, field => field.form).filter(Boolean)).forEach(form => {
+      const finding = this.checkFormAction(form);
+      if (finding) findings.push(finding);
+    });
+
+    const framed = window !== window.top;
+    if (framed && passwordFields.length) {
+      const ancestors = location.ancestorOrigins;
+      const topOrigin = ancestors && ancestors.length ? ancestors[ancestors.length - 1] : null;
+      if (topOrigin && topOrigin !== location.origin) {
+        findings.push({ id: 'framed_login', message: `Login form inside a frame embedded by ${topOrigin}` });
+      }
+    }
+
+    if (!passwordFields.length && !findings.length) return;
+    const signals = {
+      hasPasswordField: passwordFields.length > 0,
+      title: document.title,
+      siteName: document.querySelector('meta[property="og:site_name"]')?.content || '',
+      faviconUrl: document.querySelector('link[rel~="icon"]')?.href || '',
+      logoTexts: this.collectLogoTexts()
+    };
+
+    // Re-renders that change nothing are not reported again
+    const report = JSON.stringify([findings, signals]);
+    if (report === this.lastSecurityReport) return;
+    this.lastSecurityReport = report;
+
+    const assessment = await chrome.runtime.sendMessage({ type: 'ASSESS_PAGE', findings, signals, framed });
+    if (assessment && assessment.level && assessment.level !== 'low') {
+      this.showInPageAlert({
+        type: 'phishing_risk',
+        severity: assessment.level,
+        score: assessment.score,
+        message: `This page shows signs of phishing (risk ${assessment.score}/100)`,
+        findings: assessment.findings,
+        alertId: assessment.alertId
+      });
+    }
+  }
+
+  checkFormAction(form) {
+    const raw = form.getAttribute('action');
+    // No action means the form posts back to this page
+    if (!raw || !raw.trim()) return null;
+    if (/^\s*data:/i.test(raw)) return { id: 'form_data_url', message: 'Login form submits to a data: URL' };
+    const action = this.resolveUrl(raw);
+    if (!action || !/^https?:$/.test(action.protocol)) return null;
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(action.hostname) || action.hostname.startsWith('[')) {
+      return { id: 'form_ip_action', message: `Login form sends credentials to the IP address ${action.hostname}` };
+    }
+    if (location.protocol === 'https:' && action.protocol === 'http:') {
+      return { id: 'form_insecure_action', message: `Login form sends credentials without HTTPS to ${action.hostname}` };
+    }
+    if (action.origin !== location.origin) {
+      return { id: 'form_cross_origin', message: `Login form sends credentials to ${action.hostname}` };
+    }
+    return null;
+  }
+
+  resolveUrl(value) {
+    try {
+      return new URL(value, location.href);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  isLocalHost(hostname) {
+    return hostname === 'localhost' || hostname === '[::1]' || hostname.startsWith('127.');
+  }
+
+  // Alt text, titles and file names of anything that looks like a logo
+  // "Sign in with Google" buttons carry the provider's logo; only the page's own branding counts.
+  // A logo linking back to this site is the usual header logo.
+  isSignInOption(el) {
+    const control = el.closest('a, button, [role=button]');
+    if (!control) return false;
+    if (/sign[\s-]?(in|on|up)|log[\s-]?in|continue with/i.test(control.textContent)) return true;
+    if (control.tagName !== 'A') return true;
+    const link = this.resolveUrl(control.getAttribute('href') || '');
+    return !link || link.hostname !== location.hostname;
+  }
+
+  collectLogoTexts() {
+    const texts = [];
+    document.querySelectorAll('img, svg, [class*=logo i], [id*=logo i]').forEach(el => {
+      if (texts.length >= 10) return;
+      const hint = `${el.getAttribute('class') || ''} ${el.id || ''} ${el.getAttribute('alt') || ''} ${el.getAttribute('src') || ''}`;
+      if (!/logo|brand/i.test(hint) || this.isSignInOption(el)) return;
+      const fileName = (el.getAttribute('src') || '').split(/[?#]/)[0].split('/').pop();
+      const text = [el.getAttribute('alt'), el.getAttribute('title'), el.getAttribute('aria-label'), fileName.replace(/[-_.]/g, ' ')]
+        .filter(Boolean).join(' ').trim();
+      if (text) texts.push(text.slice(0, 100));
+    });
+    return texts;
   }
 
   isSensitiveInput(el) {
@@ -245,19 +1120,35 @@ class ContentScriptGuard {
     setTimeout(() => tooltip.remove(), 3000);
   }
 
-  async showSubmissionWarning(scanResult, formAction) {
-    return new Promise(resolve => {
-      const modal = this.createWarningModal(scanResult, formAction, resolve);
-      document.body.appendChild(modal);
+  // Warnings are queued so concurrent requests never replace a modal that is still waiting for an answer
+  showSubmissionWarning(scanResult, formAction, options = {}) {
+    const shown = this.warningQueue.then(() => new Promise(resolve => {
+      const modal = this.createWarningModal(scanResult, formAction, resolve, options);
+      (document.body || document.documentElement).appendChild(modal);
       // Modal will be removed only on user action
-    });
+    }));
+    this.warningQueue = shown.catch(() => {});
+    return shown;
   }
 
-  createWarningModal(scanResult, formAction, resolve) {
-    document.querySelectorAll('.secureguard-modal').forEach(m => m.remove());
-    const modal = document.createElement('div');
+  // Modals live in a closed shadow root like the in-page alerts, so page scripts cannot find their
+  // buttons, and clicks they synthesize are dropped before reaching them. The host is put back if the
+  // page removes it; callers close the modal with close() so that it stays removed.
+  createModalShell() {
+    document.querySelectorAll('.secureguard-modal').forEach(m => m.close ? m.close() : m.remove());
+    const modal = document.createElement('secureguard-modal');
     modal.className = 'secureguard-modal';
-    modal.style.cssText = `
+    for (const [name, value] of [['all', 'initial'], ['display', 'block'], ['position', 'fixed'], ['top', '0'],
+      ['left', '0'], ['width', '0'], ['height', '0'], ['overflow', 'visible'], ['z-index', '2147483647']]) {
+      modal.style.setProperty(name, value, 'important');
+    }
+    const root = modal.attachShadow({ mode: 'closed' });
+    root.addEventListener('click', e => {
+      if (!e.isTrusted) e.stopImmediatePropagation();
+    }, true);
+
+    const backdrop = document.createElement('div');
+    backdrop.style.cssText = `
       position: fixed;
       top: 0; left: 0;
       width: 100vw; height: 100vh;
@@ -265,7 +1156,6 @@ class ContentScriptGuard {
       display: flex;
       justify-content: center;
       align-items: center;
-      z-index: 100000;
       font-family: Arial, sans-serif;
     `;
 
@@ -279,50 +1169,229 @@ class ContentScriptGuard {
       overflow-y: auto;
       position: relative;
     `;
+    backdrop.appendChild(content);
+    root.appendChild(backdrop);
 
-    const dataList = scanResult.sensitiveData?.map(d => `<li>${d.type}: ${d.value}</li>`).join('') || '<li>Detected sensitive data.</li>';
+    const keeper = new MutationObserver(() => {
+      if (!modal.isConnected) (document.body || document.documentElement).appendChild(modal);
+    });
+    keeper.observe(document, { childList: true, subtree: true });
+    const close = () => {
+      keeper.disconnect();
+      modal.remove();
+    };
+    modal.close = close;
+    return { modal, content, backdrop, close };
+  }
+
+  createWarningModal(scanResult, formAction, resolve, options = {}) {
+    const {
+      title = 'Potential Data Leak Detected',
+      targetLabel = 'Form action',
+      blockLabel = 'Block Submission',
+      continueLabel = 'Continue Anyway',
+      redactLabel = 'Redact and Continue'
+    } = options;
+    const { modal, content, backdrop, close } = this.createModalShell();
+    const dataList = this.sensitiveDataList(scanResult);
     const recList = scanResult.recommendations?.map(r => `<li>${r}</li>`).join('') || '<li>Please review before proceeding.</li>';
 
     content.innerHTML = `
-      <h2 style="color:#d32f2f;">⚠️ Potential Data Leak Detected</h2>
-      <p><strong>Form action:</strong> ${formAction}</p>
+      <h2 style="color:#d32f2f;">⚠️ ${this.escapeHtml(title)}</h2>
+      <p><strong>${this.escapeHtml(targetLabel)}:</strong> ${this.escapeHtml(formAction)}</p>
+      ${scanResult.decision?.rule ? `<p><strong>Policy:</strong> ${this.escapeHtml(scanResult.decision.rule.name)}</p>` : ''}
       <p><strong>Detected sensitive data:</strong></p>
       <ul>${dataList}</ul>
       <p><strong>Recommendations:</strong></p>
       <ul>${recList}</ul>
       <div style="margin-top:20px; text-align:right;">
-        <button id="blockBtn" style="background:#d32f2f; color:white; margin-right:10px; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">Block Submission</button>
-        <button id="continueBtn" style="background:#4caf50; color:white; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">Continue Anyway</button>
+        <button id="blockBtn" style="background:#d32f2f; color:white; margin-right:10px; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">${this.escapeHtml(blockLabel)}</button>
+        ${redactLabel ? `<button id="redactBtn" style="background:#f57c00; color:white; margin-right:10px; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">${this.escapeHtml(redactLabel)}</button>` : ''}
+        <button id="continueBtn" style="background:#4caf50; color:white; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">${this.escapeHtml(continueLabel)}</button>
       </div>
       <button id="closeBtn" style="position:absolute; top:10px; right:10px; background:none; border:none; font-size:24px; cursor:pointer;">&times;</button>
     `;
 
+    this.wireRevealButtons(content, scanResult);
     content.querySelector('#blockBtn').onclick = () => {
-      modal.remove();
-      resolve(true);
+      close();
+      resolve('block');
     };
+    // Callers pass redactLabel: null where the data cannot be rewritten, such as uploaded files
+    if (redactLabel) {
+      content.querySelector('#redactBtn').onclick = () => {
+        close();
+        resolve('redact');
+      };
+    }
     content.querySelector('#continueBtn').onclick = () => {
-      modal.remove();
-      resolve(false);
+      close();
+      resolve('allow');
     };
     content.querySelector('#closeBtn').onclick = () => {
-      modal.remove();
-      resolve(true);
+      close();
+      resolve('block');
     };
-    modal.onclick = e => {
-      if (e.target === modal) {
-        modal.remove();
-        resolve(true);
+    backdrop.onclick = e => {
+      if (e.target === backdrop) {
+        close();
+        resolve('block');
       }
     };
-    modal.appendChild(content);
     return modal;
   }
 
+  // Values are masked so the warning itself does not leak them on a shared screen
+  sensitiveDataList(scanResult) {
+    return scanResult.sensitiveData?.map((d, i) => d.type === 'exact_match'
+      ? `<li>exact_match: record from dataset "${this.escapeHtml(d.dataset)}"</li>`
+      : `<li>${this.escapeHtml(d.type)}: <span data-value-index="${i}">${this.escapeHtml(this.masking.preview(d))}</span>`
+        + (d.value === undefined ? '' : ` <button data-reveal-index="${i}" style="border:none; background:none; color:#1976d2; cursor:pointer; padding:0;">Show</button>`)
+        + `${d.confidence ? ` <small>(${Math.round(d.confidence * 100)}% confidence)</small>` : ''}</li>`
+    ).join('') || '<li>Detected sensitive data.</li>';
+  }
+
+  wireRevealButtons(content, scanResult) {
+    content.querySelectorAll('[data-reveal-index]').forEach(btn => {
+      btn.onclick = () => {
+        const index = btn.dataset.revealIndex;
+        content.querySelector(`[data-value-index="${index}"]`).textContent = scanResult.sensitiveData[index].value;
+        btn.remove();
+      };
+    });
+  }
+
+  // Resolves to { action, justification }; sending anyway needs a reason, which goes into the audit alert
+  showPromptWarning(scanResult, kind) {
+    const shown = this.warningQueue.then(() => new Promise(resolve => {
+      const { modal, content, close } = this.createModalShell();
+      const subject = kind === 'paste' ? 'The text you are pasting' : 'Your prompt';
+      const verb = kind === 'paste' ? 'Paste' : 'Send';
+      content.innerHTML = `
+        <h2 style="color:#d32f2f;">⚠️ Sensitive Data in an AI Prompt</h2>
+        <p>${subject} for <strong>${this.escapeHtml(window.location.hostname)}</strong> contains:</p>
+        <ul>${this.sensitiveDataList(scanResult)}</ul>
+        <p>AI assistants can keep prompts and use them to train future models. Remove the data, ${verb.toLowerCase()} a
+          redacted copy, or give a reason for sending it as it is. Your reason is recorded.</p>
+        <textarea id="justification" rows="3" maxlength="1000" placeholder="Reason for sending this data"
+          style="width:100%; box-sizing:border-box; font-family:inherit;"></textarea>
+        <div style="margin-top:20px; text-align:right;">
+          <button id="blockBtn" style="background:#d32f2f; color:white; margin-right:10px; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">Don't ${verb}</button>
+          <button id="redactBtn" style="background:#f57c00; color:white; margin-right:10px; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">${verb} Redacted</button>
+          <button id="continueBtn" disabled style="background:#4caf50; color:white; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">${verb} Anyway</button>
+        </div>
+      `;
+      this.wireRevealButtons(content, scanResult);
+      const reason = content.querySelector('#justification');
+      const continueBtn = content.querySelector('#continueBtn');
+      reason.oninput = () => {
+        continueBtn.disabled = !reason.value.trim();
+        continueBtn.style.opacity = continueBtn.disabled ? '0.5' : '1';
+      };
+      reason.oninput();
+      const answer = (action, justification) => {
+        close();
+        resolve({ action, justification });
+      };
+      content.querySelector('#blockBtn').onclick = () => answer('block');
+      content.querySelector('#redactBtn').onclick = () => answer('redact');
+      continueBtn.onclick = () => answer('allow', reason.value.trim());
+      (document.body || document.documentElement).appendChild(modal);
+      reason.focus();
+    }));
+    this.warningQueue = shown.catch(() => {});
+    return shown;
+  }
+
+  // A trusted site's look-alike is stopped before anything can be typed into it
+  async checkLookalikeDomain() {
+    if (window !== window.top) return;
+    try {
+      const { match, allowed } = await chrome.runtime.sendMessage({
+        type: 'CHECK_LOOKALIKE',
+        url: window.location.href,
+        channel: 'navigation'
+      });
+      if (match && !allowed) await this.confirmLookalike(match);
+    } catch (e) {
+      console.error('Error checking domain:', e);
+    }
+  }
+
+  // Resolves to true when the user chose to stay on the look-alike site
+  async confirmLookalike(match) {
+    const shown = this.warningQueue.then(() => new Promise(resolve => {
+      (document.body || document.documentElement).appendChild(this.createLookalikeModal(match, resolve));
+    }));
+    this.warningQueue = shown.catch(() => {});
+    const choice = await shown;
+    if (choice === 'leave') {
+      window.location.href = `https://${match.trusted}/`;
+      return false;
+    }
+    await chrome.runtime.sendMessage({ type: 'ALLOW_LOOKALIKE' });
+    return true;
+  }
+
+  showPasswordReuseWarning(domain) {
+    const shown = this.warningQueue.then(() => new Promise(resolve => {
+      const { modal, content, close } = this.createModalShell();
+      content.innerHTML = `
+        <h2 style="color:#d32f2f;">⚠️ You are reusing your work password</h2>
+        <p>The password in this form is the one you use for <strong>${this.escapeHtml(domain)}</strong>.
+          It was not sent to ${this.escapeHtml(window.location.hostname)}.</p>
+        <p>Choose a different password for this site. If you have already used it here, change your
+          ${this.escapeHtml(domain)} password.</p>
+        <div style="margin-top:20px; text-align:right;">
+          <button id="okBtn" style="background:#d32f2f; color:white; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">OK</button>
+        </div>
+      `;
+      content.querySelector('#okBtn').onclick = () => {
+        close();
+        resolve();
+      };
+      (document.body || document.documentElement).appendChild(modal);
+    }));
+    this.warningQueue = shown.catch(() => {});
+    return shown;
+  }
+
+  createLookalikeModal(match, resolve) {
+    const { modal, content, close } = this.createModalShell();
+    // Homographs are shown in both forms so the difference is visible at all
+    const host = match.displayHost !== match.hostname ? `${match.displayHost} (${match.hostname})` : match.hostname;
+    const reasons = match.reasons.map(reason => reason.message).join(' and ');
+    content.innerHTML = `
+      <h2 style="color:#d32f2f;">⚠️ Did you mean ${this.escapeHtml(match.trusted)}?</h2>
+      <p>You are on <strong>${this.escapeHtml(host)}</strong>, which is not ${this.escapeHtml(match.brand || match.trusted)}.
+        This address ${this.escapeHtml(reasons)}.</p>
+      <p>Do not enter passwords or other details here unless you are sure the site is genuine.</p>
+      <div style="margin-top:20px; text-align:right;">
+        <button id="stayBtn" style="background:#757575; color:white; margin-right:10px; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">Continue Anyway</button>
+        <button id="leaveBtn" style="background:#4caf50; color:white; padding:10px 20px; border:none; border-radius:4px; cursor:pointer;">Go to ${this.escapeHtml(match.trusted)}</button>
+      </div>
+    `;
+    content.querySelector('#leaveBtn').onclick = () => {
+      close();
+      resolve('leave');
+    };
+    content.querySelector('#stayBtn').onclick = () => {
+      close();
+      resolve('stay');
+    };
+    return modal;
+  }
+
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
   async runPageScan() {
     let combinedData = '';
     this.sensitiveSelectors.forEach(selector => {
-      document.querySelectorAll(selector).forEach(el => {
+      this.deepQuerySelectorAll(selector).forEach(el => {
         combinedData += el.value + ' ';
       });
     });
@@ -337,9 +1406,73 @@ class ContentScriptGuard {
     }
   }
 
+  // Page-wide risks get the persistent banner; everything else is a toast
   showInPageAlert(alert) {
-    // Optional: Implement as toast/banner if desired
-    console.log('In-page alert:', alert);
+    const titles = {
+      paste_warning: 'Sensitive Data in Pasted Text',
+      copy_warning: 'Sensitive Data Copied',
+      unscanned_file: 'File Not Scanned',
+      clipboard_policy: 'Clipboard Policy',
+      scan_result: 'Page Scan',
+      phishing_risk: 'Possible Phishing Page'
+    };
+    const items = alert.findings
+      ? alert.findings.map(finding => finding.message)
+      : [...new Set((alert.data || []).map(item => item.type === 'exact_match' ? `record from "${item.dataset}"` : item.type))];
+    const shown = {
+      severity: alert.severity || 'medium',
+      title: alert.title || titles[alert.type] || 'SecureGuard Alert',
+      message: alert.message,
+      items,
+      alertId: alert.alertId
+    };
+    if (alert.type === 'phishing_risk') {
+      this.inPageAlerts.showBanner({ ...shown, message: `${alert.message}: ${items.join('; ')}` });
+    } else {
+      this.inPageAlerts.toast(shown);
+    }
+  }
+
+  // Marks every field whose current value holds sensitive data and resolves to how many there were
+  async highlightRiskyElements() {
+    const fields = this.deepQuerySelectorAll('input, textarea, [contenteditable]')
+      .filter(el => this.isEditable(el) && !(el.isContentEditable && el.parentElement?.isContentEditable));
+    const risky = [];
+    await Promise.all(fields.map(async el => {
+      const value = el.isContentEditable ? el.innerText : el.value;
+      if (!value || !value.trim()) return;
+      try {
+        const result = await chrome.runtime.sendMessage({ type: 'SCAN_DATA', data: value });
+        if (result && result.sensitiveData && result.sensitiveData.length) risky.push({ el, result });
+      } catch (e) {
+        console.error('Error scanning field:', e);
+      }
+    }));
+    for (const { el, result } of risky) {
+      this.highlightElement(el, 'danger');
+      this.showTooltip(el, `Contains ${[...new Set(result.sensitiveData.map(item => item.type))].join(', ')}`);
+    }
+    if (risky.length) {
+      this.inPageAlerts.toast({
+        severity: 'high',
+        title: 'Sensitive Data on This Page',
+        message: `${risky.length} ${risky.length === 1 ? 'field contains' : 'fields contain'} sensitive data, highlighted in red.`
+      });
+    }
+    return risky.length;
+  }
+
+  // Sent by the background when sensitive data left this page by a route the content script could
+  // not stop; the page's forms stay blocked until it is reloaded
+  blockFormSubmission(reason = 'Sensitive data was sent from this page.', alertId) {
+    this.submissionBlock = reason;
+    this.inPageAlerts.showBanner({
+      severity: 'high',
+      title: 'Form submissions blocked',
+      message: `${reason} Reload the page to submit forms again.`,
+      alertId
+    });
+    this.highlightRiskyElements();
   }
 }
 
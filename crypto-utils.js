@@ -153,9 +153,14 @@ class CryptoUtils {
     }
   }
 
+  // Converted in slices: spreading a large buffer into one call overflows the argument stack
   arrayBufferToBase64(buffer) {
-    const binary = String.fromCharCode(...new Uint8Array(buffer));
-    return btoa(binary);
+    const bytes = new Uint8Array(buffer);
+    const parts = [];
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000)));
+    }
+    return btoa(parts.join(''));
   }
 
   base64ToArrayBuffer(base64) {
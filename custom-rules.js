@@ -0,0 +1,73 @@
+class CustomRuleCompiler {
+  constructor() {
+    this.kinds = ['regex', 'keywords', 'proximity'];
+    this.severities = ['low', 'medium', 'high', 'critical'];
+    this.maxPatternLength = 500;
+    this.maxDistance = 200;
+    this.maxInputLength = 100000;
+  }
+
+  compile(rule) {
+    if (!rule || !rule.name || !rule.name.trim()) throw new Error('Rule needs a name');
+    if (!this.kinds.includes(rule.kind)) throw new Error(`Unknown rule kind: ${rule.kind}`);
+    if (!this.severities.includes(rule.severity)) throw new Error(`Unknown severity: ${rule.severity}`);
+
+    const detector = {
+      id: `custom:${rule.id}`,
+      type: 'custom',
+      severity: rule.severity,
+      confidence: 0.9,
+      meta: { rule: rule.name.trim() },
+      maxInputLength: this.maxInputLength
+    };
+
+    switch (rule.kind) {
+      case 'regex':
+        return { ...detector, confidence: 0.8, pattern: this.compilePattern(rule.pattern, rule.caseSensitive) };
+      case 'keywords':
+        return { ...detector, pattern: this.compileKeywords(rule.keywords, rule.caseSensitive) };
+      case 'proximity':
+        return this.compileProximity(rule, detector);
+    }
+  }
+
+  compilePattern(source, caseSensitive) {
+    if (typeof source !== 'string' || !source) throw new Error('Pattern is required');
+    if (source.length > this.maxPatternLength) throw new Error(`Pattern is longer than ${this.maxPatternLength} characters`);
+    // Nested quantifiers such as (a+)+ backtrack catastrophically and would stall request scanning
+    if (/\([^)]*[+*}][^)]*\)\s*[+*{]/.test(source)) throw new Error('Pattern has nested quantifiers');
+    const pattern = new RegExp(source, caseSensitive ? 'g' : 'gi');
+    if (pattern.test('')) throw new Error('Pattern matches empty text');
+    return pattern;
+  }
+
+  compileKeywords(keywords, caseSensitive) {
+    const list = this.normalizeKeywords(keywords);
+    if (!list.length) throw new Error('At least one keyword is required');
+    const escaped = list.map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(?<![\\w])(?:${escaped.join('|')})(?![\\w])`, caseSensitive ? 'g' : 'gi');
+  }
+
+  compileProximity(rule, detector) {
+    const keywords = this.normalizeKeywords(rule.keywords).map(keyword => keyword.toLowerCase());
+    if (!keywords.length) throw new Error('Proximity rules need at least one keyword');
+    const distance = Number(rule.distance);
+    if (!Number.isInteger(distance) || distance < 1 || distance > this.maxDistance) {
+      throw new Error(`Distance must be between 1 and ${this.maxDistance} characters`);
+    }
+    return {
+      ...detector,
+      pattern: this.compilePattern(rule.pattern, rule.caseSensitive),
+      meta: { ...detector.meta, near: keywords, distance },
+      validate: (value, { text, start, end }) => {
+        const window = text.slice(Math.max(0, start - distance), Math.min(text.length, end + distance)).toLowerCase();
+        return keywords.some(keyword => window.includes(keyword));
+      }
+    };
+  }
+
+  normalizeKeywords(keywords) {
+    const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+    return list.map(keyword => keyword.trim()).filter(Boolean);
+  }
+}
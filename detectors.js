@@ -0,0 +1,218 @@
+class DetectorRegistry {
+  constructor(detectors = []) {
+    this.detectors = new Map();
+    this.contextRadius = 32;
+    this.maxMatchesPerDetector = 50;
+    this.minConfidence = 0.5;
+    detectors.forEach(detector => this.register(detector));
+  }
+
+  register(detector) {
+    if (!detector || !detector.id || !(detector.pattern instanceof RegExp)) {
+      throw new Error(`Invalid detector: ${detector && detector.id}`);
+    }
+    const flags = detector.pattern.flags.includes('g') ? detector.pattern.flags : `${detector.pattern.flags}g`;
+    this.detectors.set(detector.id, {
+      type: detector.id,
+      severity: 'medium',
+      confidence: 0.5,
+      keywords: [],
+      enabled: true,
+      ...detector,
+      pattern: new RegExp(detector.pattern.source, flags)
+    });
+  }
+
+  unregister(id) {
+    return this.detectors.delete(id);
+  }
+
+  get(id) {
+    return this.detectors.get(id);
+  }
+
+  ids() {
+    return [...this.detectors.keys()];
+  }
+
+  setEnabled(id, enabled) {
+    const detector = this.detectors.get(id);
+    if (detector) detector.enabled = enabled;
+  }
+
+  detect(text, { minConfidence = this.minConfidence } = {}) {
+    if (typeof text !== 'string' || !text) return [];
+    const found = [];
+    for (const detector of this.detectors.values()) {
+      if (!detector.enabled) continue;
+      try {
+        found.push(...this.runDetector(detector, text));
+      } catch (e) {
+        console.error(`Detector ${detector.id} failed:`, e);
+      }
+    }
+    return this.resolveOverlaps(found.filter(match => match.confidence >= minConfidence));
+  }
+
+  runDetector(detector, text) {
+    const matches = [];
+    const input = detector.maxInputLength ? text.slice(0, detector.maxInputLength) : text;
+    detector.pattern.lastIndex = 0;
+    for (const match of input.matchAll(detector.pattern)) {
+      if (matches.length >= this.maxMatchesPerDetector) break;
+      const value = match[0];
+      if (!value) continue;
+      const start = match.index;
+      const end = start + value.length;
+      // Validators return false to reject, true to accept, or a number to override the base confidence
+      const verdict = detector.validate ? detector.validate(value, { text: input, start, end, match }) : true;
+      if (verdict === false || verdict === 0 || verdict == null) continue;
+      const context = this.getContext(input, start, end);
+      matches.push({
+        ...detector.meta,
+        type: detector.type,
+        detector: detector.id,
+        value,
+        start,
+        end,
+        context,
+        confidence: this.scoreMatch(detector, verdict, context),
+        severity: detector.severity,
+        pattern: detector.pattern.toString()
+      });
+    }
+    return matches;
+  }
+
+  getContext(text, start, end) {
+    return text.slice(Math.max(0, start - this.contextRadius), Math.min(text.length, end + this.contextRadius));
+  }
+
+  scoreMatch(detector, verdict, context) {
+    let score = typeof verdict === 'number' ? verdict : detector.confidence;
+    const lowered = context.toLowerCase();
+    if (detector.keywords.some(keyword => lowered.includes(keyword))) score += 0.2;
+    return Math.round(Math.min(score, 1) * 100) / 100;
+  }
+
+  // Keep the most confident match when two detectors claim the same characters
+  resolveOverlaps(matches) {
+    const ranked = [...matches].sort((a, b) =>
+      b.confidence - a.confidence || (b.end - b.start) - (a.end - a.start) || a.start - b.start
+    );
+    const accepted = [];
+    for (const match of ranked) {
+      if (!accepted.some(other => match.start < other.end && other.start < match.end)) {
+        accepted.push(match);
+      }
+    }
+    return accepted.sort((a, b) => a.start - b.start);
+  }
+}
+
+const DetectorValidators = {
+  luhn(digits) {
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+      let n = digits.charCodeAt(i) - 48;
+      if (double) {
+        n *= 2;
+        if (n > 9) n -= 9;
+      }
+      sum += n;
+      double = !double;
+    }
+    return sum % 10 === 0;
+  },
+
+  cardIssuer(digits) {
+    if (/^4/.test(digits)) return 'visa';
+    if (/^(5[1-5]|2(2[2-9]|[3-6]\d|7[01]|720))/.test(digits)) return 'mastercard';
+    if (/^3[47]/.test(digits)) return 'amex';
+    if (/^(6011|65|64[4-9])/.test(digits)) return 'discover';
+    if (/^35(2[89]|[3-8]\d)/.test(digits)) return 'jcb';
+    if (/^3(0[0-5]|[689])/.test(digits)) return 'diners';
+    if (/^62/.test(digits)) return 'unionpay';
+    return null;
+  },
+
+  creditCard(value) {
+    const digits = value.replace(/[\s-]/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+    if (/^(\d)\1+$/.test(digits)) return false;
+    if (!DetectorValidators.luhn(digits)) return false;
+    return DetectorValidators.cardIssuer(digits) ? 0.9 : 0.55;
+  },
+
+  // SSA rules: no 000/666/9xx area, no 00 group, no 0000 serial, and never the advertised sample numbers
+  ssn(value, { match }) {
+    const [, area, separator, group, serial] = match;
+    if (area === '000' || area === '666' || area[0] === '9') return false;
+    if (group === '00' || serial === '0000') return false;
+    if (['078051120', '219099999'].includes(area + group + serial)) return false;
+    return separator ? 0.8 : 0.4;
+  },
+
+  email(value) {
+    const at = value.lastIndexOf('@');
+    const local = value.slice(0, at);
+    const domain = value.slice(at + 1);
+    if (!local || local.length > 64 || value.length > 254) return false;
+    if (local.startsWith('.') || local.endsWith('.') || local.includes('..')) return false;
+    const labels = domain.split('.');
+    if (labels.length < 2) return false;
+    if (labels.some(label => !label || label.length > 63 || !/^[A-Za-z0-9](?:[A-Za-z0-9-]*[A-Za-z0-9])?$/.test(label))) {
+      return false;
+    }
+    return /^[A-Za-z]{2,63}$/.test(labels[labels.length - 1]);
+  },
+
+  ipAddress(value) {
+    const octets = value.split('.');
+    return octets.every(octet => Number(octet) <= 255 && (octet === '0' || !octet.startsWith('0')));
+  }
+};
+
+const PII_DETECTORS = [
+  {
+    id: 'credit_card',
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/,
+    validate: DetectorValidators.creditCard,
+    severity: 'high',
+    keywords: ['card', 'visa', 'mastercard', 'amex']
+  },
+  {
+    id: 'ssn',
+    pattern: /\b(\d{3})([- ]?)(\d{2})\2(\d{4})\b/,
+    validate: DetectorValidators.ssn,
+    severity: 'high',
+    keywords: ['ssn', 'social security', 'social sec']
+  },
+  {
+    id: 'email',
+    pattern: /[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/,
+    validate: DetectorValidators.email,
+    confidence: 0.9,
+    severity: 'low'
+  },
+  {
+    id: 'ip_address',
+    pattern: /\b(?:\d{1,3}\.){3}\d{1,3}\b/,
+    validate: DetectorValidators.ipAddress,
+    confidence: 0.6,
+    severity: 'low'
+  },
+  {
+    id: 'password',
+    pattern: /\b(?:password|passwd|pwd)\s*[:=]\s*\S+/i,
+    confidence: 0.7,
+    severity: 'high'
+  },
+  {
+    id: 'api_key',
+    pattern: /\bapi[_-]?key\s*[:=]\s*\S+/i,
+    confidence: 0.7,
+    severity: 'high'
+  }
+];
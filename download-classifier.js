@@ -0,0 +1,97 @@
+// Scores a download from its name, declared type and where it came from. The background looks up
+// the source's reputation and blocklist entries; everything else is judged from the item itself.
+const DOWNLOAD_WEIGHTS = {
+  executable: 30,
+  script: 30,
+  installer: 25,
+  disk_image: 25,
+  macro_document: 20,
+  archive: 10,
+  double_extension: 40,
+  hidden_extension: 50,
+  mime_mismatch: 35,
+  malicious_source: 60,
+  blocklisted_source: 60
+};
+
+const DOWNLOAD_CATEGORIES = {
+  executable: { extensions: ['exe', 'scr', 'com', 'pif', 'cpl', 'dll', 'msc', 'lnk', 'appref-ms', 'jar', 'command'], message: 'Program that runs when opened' },
+  script: { extensions: ['bat', 'cmd', 'ps1', 'psm1', 'vbs', 'vbe', 'js', 'jse', 'wsf', 'wsh', 'hta', 'reg', 'sh', 'scpt'], message: 'Script that runs when opened' },
+  installer: { extensions: ['msi', 'msix', 'appx', 'pkg', 'mpkg', 'dmg', 'apk', 'deb', 'rpm', 'crx', 'xpi'], message: 'Installs software' },
+  disk_image: { extensions: ['iso', 'img', 'vhd', 'vhdx'], message: 'Disk image that can hide programs' },
+  macro_document: { extensions: ['docm', 'dotm', 'xlsm', 'xltm', 'xlam', 'pptm', 'potm', 'ppam'], message: 'Office document that can run macros' },
+  archive: { extensions: ['zip', 'rar', '7z', 'cab', 'ace', 'arj', 'gz', 'tgz', 'tar'], message: 'Archive whose contents cannot be checked' }
+};
+
+// What an attacker wants a program to look like
+const DECOY_EXTENSIONS = [
+  'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'rtf', 'txt', 'csv', 'odt',
+  'jpg', 'jpeg', 'png', 'gif', 'mp3', 'mp4', 'mov', 'avi', 'wav'
+];
+
+const EXECUTABLE_MIME_TYPES = [
+  'application/x-msdownload', 'application/x-dosexec', 'application/vnd.microsoft.portable-executable',
+  'application/x-executable', 'application/x-msi', 'application/x-sh', 'application/x-bat', 'application/hta',
+  'application/java-archive', 'application/vnd.android.package-archive', 'application/x-apple-diskimage'
+];
+
+class DownloadClassifier {
+  categoryOf(extension) {
+    return Object.keys(DOWNLOAD_CATEGORIES).find(id => DOWNLOAD_CATEGORIES[id].extensions.includes(extension)) || null;
+  }
+
+  fileName(item) {
+    const path = item.filename || '';
+    if (path) return path.split(/[\\/]/).pop();
+    try {
+      return decodeURIComponent(new URL(item.finalUrl || item.url).pathname.split('/').pop()) || 'download';
+    } catch (e) {
+      return 'download';
+    }
+  }
+
+  // sources: { malicious: [url], blocked: [{ url, pattern }] }
+  classify(item, sources = {}) {
+    const fileName = this.fileName(item);
+    const parts = fileName.toLowerCase().replace(/\s+$/, '').split('.');
+    const extension = parts.length > 1 ? parts[parts.length - 1] : '';
+    const category = this.categoryOf(extension);
+    const runsCode = ['executable', 'script', 'installer'].includes(category);
+    const findings = [];
+
+    if (category) findings.push({ id: category, message: `${DOWNLOAD_CATEGORIES[category].message} (.${extension})` });
+    // "invoice.pdf.exe", and names that push the real extension out of sight
+    if (runsCode && parts.length > 2 && DECOY_EXTENSIONS.includes(parts[parts.length - 2].trim())) {
+      findings.push({ id: 'double_extension', message: `Named like a .${parts[parts.length - 2].trim()} file but is a .${extension}` });
+    }
+    if (/[\u202a-\u202e\u2066-\u2069]/.test(fileName) || /\s{3,}\.[^.]+$/.test(fileName)) {
+      findings.push({ id: 'hidden_extension', message: 'File name hides its real extension' });
+    }
+    const mime = (item.mime || '').toLowerCase().split(';')[0];
+    if (EXECUTABLE_MIME_TYPES.includes(mime) && !runsCode) {
+      findings.push({ id: 'mime_mismatch', message: `Sent as a program (${mime}) but ${extension ? `named .${extension}` : 'has no extension'}` });
+    }
+    for (const url of sources.malicious || []) {
+      findings.push({ id: 'malicious_source', message: `${this.hostOf(url)} is on a malicious site list` });
+    }
+    for (const { url, pattern } of sources.blocked || []) {
+      findings.push({ id: 'blocklisted_source', message: `${this.hostOf(url)} matches your blocklist entry ${pattern}` });
+    }
+
+    const score = Math.min(100, findings.reduce((sum, finding) => sum + DOWNLOAD_WEIGHTS[finding.id], 0));
+    return {
+      fileName,
+      score,
+      level: score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low',
+      findings
+    };
+  }
+
+  hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return url;
+    }
+  }
+}
@@ -0,0 +1,181 @@
+// Pulls scannable text out of files the user is about to upload: plain text formats are read
+// directly, DOCX and XLSX are ZIP archives of XML parts. Large files are read only up to a limit
+// and extraction gives up after a timeout, so a huge or hostile archive cannot hang the page.
+class FileTextExtractor {
+  constructor(options = {}) {
+    this.maxTextBytes = options.maxTextBytes || 2 * 1024 * 1024;
+    this.maxArchiveBytes = options.maxArchiveBytes || 25 * 1024 * 1024;
+    // XML markup is several times the size of the text it carries
+    this.maxPartBytes = options.maxPartBytes || 8 * 1024 * 1024;
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.textTypes = /\.(txt|csv|tsv|json|jsonl|log|md|xml|ya?ml|sql|ini|env|conf)$/i;
+  }
+
+  kind(file) {
+    if (/\.docx$/i.test(file.name) || file.type === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+      return 'docx';
+    }
+    if (/\.xlsx$/i.test(file.name) || file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    if (this.textTypes.test(file.name) || /^text\//.test(file.type) || file.type === 'application/json') return 'text';
+    return null;
+  }
+
+  // Resolves to { text, truncated }, null for formats with no text to scan, or { text: '', error }
+  // when a supported file is too large, malformed or not read in time
+  async extract(file) {
+    const kind = this.kind(file);
+    if (!kind) return null;
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out reading ${file.name}`)), this.timeoutMs);
+    });
+    try {
+      return await Promise.race([this.extractKind(kind, file), timeout]);
+    } catch (e) {
+      console.warn('Could not extract file text:', e.message);
+      return { text: '', truncated: false, error: e.message };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async extractKind(kind, file) {
+    if (kind === 'text') {
+      const text = await file.slice(0, this.maxTextBytes).text();
+      return { text, truncated: file.size > this.maxTextBytes };
+    }
+    if (file.size > this.maxArchiveBytes) throw new Error(`${file.name} is too large to scan`);
+    const zip = this.readZip(await file.arrayBuffer());
+    const result = kind === 'docx' ? await this.docxText(zip) : await this.xlsxText(zip);
+    const truncated = result.truncated || result.text.length > this.maxTextBytes;
+    return { text: result.text.slice(0, this.maxTextBytes), truncated };
+  }
+
+  // ---- Office formats ----
+
+  async docxText(zip) {
+    const parts = [...zip.entries.keys()]
+      .filter(name => /^word\/(document|header\d*|footer\d*|footnotes|endnotes|comments)\.xml$/.test(name))
+      .sort((a, b) => (a === 'word/document.xml' ? -1 : b === 'word/document.xml' ? 1 : a.localeCompare(b)));
+    let truncated = false;
+    const texts = [];
+    for (const name of parts) {
+      const part = await this.readEntry(zip, name);
+      truncated = truncated || part.truncated;
+      texts.push(this.xmlText(part.text
+        .replace(/<w:tab\/>/g, '\t')
+        .replace(/<w:br\/>|<\/w:p>/g, '\n')));
+    }
+    return { text: texts.join('\n'), truncated };
+  }
+
+  // Rows become tab separated lines so neighbouring header cells still give detectors context
+  async xlsxText(zip) {
+    let truncated = false;
+    let sharedStrings = [];
+    if (zip.entries.has('xl/sharedStrings.xml')) {
+      const part = await this.readEntry(zip, 'xl/sharedStrings.xml');
+      truncated = part.truncated;
+      sharedStrings = (part.text.match(/<si>[\s\S]*?<\/si>/g) || []).map(item => this.runsText(item));
+    }
+    const sheets = [...zip.entries.keys()]
+      .filter(name => /^xl\/worksheets\/sheet\d+\.xml$/.test(name))
+      .sort((a, b) => Number(a.match(/\d+/)[0]) - Number(b.match(/\d+/)[0]));
+    const lines = [];
+    for (const name of sheets) {
+      const part = await this.readEntry(zip, name);
+      truncated = truncated || part.truncated;
+      for (const row of part.text.match(/<row\b[\s\S]*?<\/row>/g) || []) {
+        const cells = [];
+        for (const [, attributes, body = ''] of row.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+          const type = (attributes.match(/\bt="(\w+)"/) || [])[1];
+          const value = (body.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+          if (type === 's') cells.push(sharedStrings[Number(value)] || '');
+          else if (type === 'inlineStr') cells.push(this.runsText(body));
+          else if (value !== undefined) cells.push(this.decodeEntities(value));
+        }
+        if (cells.length) lines.push(cells.join('\t'));
+      }
+    }
+    return { text: lines.join('\n'), truncated };
+  }
+
+  runsText(xml) {
+    return (xml.match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || []).map(run => this.xmlText(run)).join('');
+  }
+
+  xmlText(xml) {
+    return this.decodeEntities(xml.replace(/<[^>]*>/g, ''));
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(lt|gt|amp|quot|apos|#\d+|#x[0-9a-f]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+        return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      }
+      return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[entity.toLowerCase()];
+    });
+  }
+
+  // ---- ZIP ----
+
+  // Only the central directory is trusted for names and sizes; local headers just locate the data
+  readZip(buffer) {
+    const view = new DataView(buffer);
+    let end = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) {
+        end = i;
+        break;
+      }
+    }
+    if (end < 0) throw new Error('Not a ZIP archive');
+
+    const entries = new Map();
+    const decoder = new TextDecoder();
+    let offset = view.getUint32(end + 16, true);
+    for (let n = view.getUint16(end + 10, true); n > 0; n--) {
+      if (offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== 0x02014b50) break;
+      const nameLength = view.getUint16(offset + 28, true);
+      entries.set(decoder.decode(new Uint8Array(buffer, offset + 46, nameLength)), {
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localOffset: view.getUint32(offset + 42, true)
+      });
+      offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    return { buffer, view, entries };
+  }
+
+  async readEntry(zip, name) {
+    const entry = zip.entries.get(name);
+    const { view, buffer } = zip;
+    const start = entry.localOffset + 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+    if (start + entry.compressedSize > buffer.byteLength) throw new Error(`Damaged archive entry ${name}`);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+    if (entry.method === 0) return this.readLimited(new Blob([data]).stream());
+    if (entry.method !== 8) throw new Error(`Unsupported compression in ${name}`);
+    return this.readLimited(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw')));
+  }
+
+  // Stops inflating once the limit is reached, which also defuses ZIP bombs
+  async readLimited(stream) {
+    const reader = stream.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) return { text: text + decoder.decode(), truncated: false };
+      bytes += value.byteLength;
+      if (bytes > this.maxPartBytes) {
+        reader.cancel().catch(() => {});
+        return { text: text + decoder.decode(value.subarray(0, value.byteLength - (bytes - this.maxPartBytes))), truncated: true };
+      }
+      text += decoder.decode(value, { stream: true });
+    }
+  }
+}
@@ -0,0 +1,148 @@
+class ExactMatchIndex {
+  constructor(cryptoUtils) {
+    this.crypto = cryptoUtils;
+    this.datasets = [];
+    this.minValueLength = 4;
+    this.maxTokensPerValue = 5;
+    this.maxScanTokens = 5000;
+  }
+
+  normalize(value) {
+    let normalized = String(value).normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+    normalized = normalized.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+    // Phone, card and account numbers match regardless of spacing and punctuation
+    if (/^[\d\s().+/-]+$/.test(normalized)) normalized = normalized.replace(/\D/g, '');
+    return normalized;
+  }
+
+  parseValues(text, { format = 'list', hasHeader = false } = {}) {
+    const rows = format === 'csv' ? this.parseCsv(text) : text.split(/\r?\n/).map(line => [line]);
+    if (hasHeader) rows.shift();
+    return rows.flat().map(cell => cell.trim()).filter(Boolean);
+  }
+
+  parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (quoted) {
+        if (ch === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        row.push(cell);
+        cell = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += ch;
+      }
+    }
+    if (cell || row.length) {
+      row.push(cell);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // Datasets imported with the salt of an existing one are scanned with a single hash per window
+  async buildDataset(name, values, { salt = this.crypto.arrayBufferToHex(this.crypto.generateSalt()) } = {}) {
+    const hashes = new Set();
+    const lengths = new Set();
+    let maxTokens = 1;
+    let skipped = 0;
+    for (const value of values) {
+      const tokenCount = value.trim().split(/\s+/).length;
+      const normalized = this.normalize(value);
+      if (normalized.length < this.minValueLength || tokenCount > this.maxTokensPerValue) {
+        skipped++;
+        continue;
+      }
+      maxTokens = Math.max(maxTokens, tokenCount);
+      lengths.add(normalized.length);
+      hashes.add(await this.hashValue(salt, normalized));
+    }
+    return {
+      id: crypto.randomUUID(),
+      name,
+      salt,
+      maxTokens,
+      count: hashes.size,
+      skipped,
+      hashes: [...hashes],
+      lengths: [...lengths],
+      createdAt: Date.now()
+    };
+  }
+
+  hashValue(salt, normalized) {
+    return this.crypto.hash(`${salt}:${normalized}`);
+  }
+
+  // Datasets sharing a salt are grouped so each window is hashed once per salt rather than per dataset.
+  // Datasets imported before value lengths were recorded have no lengths and are hashed at any length.
+  load(datasets) {
+    this.datasets = (datasets || []).map(dataset => ({
+      ...dataset,
+      hashes: new Set(dataset.hashes),
+      lengths: dataset.lengths ? new Set(dataset.lengths) : null
+    }));
+    const bySalt = new Map();
+    for (const dataset of this.datasets) {
+      if (!bySalt.has(dataset.salt)) bySalt.set(dataset.salt, []);
+      bySalt.get(dataset.salt).push(dataset);
+    }
+    this.saltGroups = [...bySalt].map(([salt, members]) => ({ salt, datasets: members }));
+  }
+
+  tokenize(text) {
+    const tokens = [];
+    for (const match of text.matchAll(/\S+/g)) {
+      if (tokens.length >= this.maxScanTokens) return { tokens, truncated: true };
+      tokens.push({ start: match.index, end: match.index + match[0].length });
+    }
+    return { tokens, truncated: false };
+  }
+
+  // Resolves to { matches, truncated }: where each dataset matched, and whether text after
+  // maxScanTokens was left unchecked. The matched values themselves are never reported.
+  async scan(text) {
+    if (!this.datasets.length || typeof text !== 'string' || !text) return { matches: [], truncated: false };
+    const { tokens, truncated } = this.tokenize(text);
+    const maxTokens = Math.max(...this.datasets.map(dataset => dataset.maxTokens));
+    const matches = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (let n = 1; n <= maxTokens && i + n <= tokens.length; n++) {
+        const start = tokens[i].start;
+        const end = tokens[i + n - 1].end;
+        const normalized = this.normalize(text.slice(start, end));
+        if (normalized.length < this.minValueLength) continue;
+        for (const group of this.saltGroups) {
+          const candidates = group.datasets.filter(dataset =>
+            n <= dataset.maxTokens && (!dataset.lengths || dataset.lengths.has(normalized.length)));
+          if (!candidates.length) continue;
+          const hash = await this.hashValue(group.salt, normalized);
+          for (const dataset of candidates) {
+            if (dataset.hashes.has(hash)) matches.push({ datasetId: dataset.id, dataset: dataset.name, start, end });
+          }
+        }
+      }
+    }
+    return { matches, truncated };
+  }
+}
@@ -0,0 +1,162 @@
+// Toasts and the page-risk banner live in a closed shadow root: page CSS cannot restyle or hide
+// them and page scripts cannot reach in to read or rewrite what they say. Only the host element
+// is exposed, so its own styles are set inline with !important and it is re-attached if removed.
+const IN_PAGE_SEVERITIES = {
+  low: { color: '#1976d2', icon: 'ℹ️', duration: 5000 },
+  medium: { color: '#f57c00', icon: '⚠️', duration: 8000 },
+  high: { color: '#d32f2f', icon: '⛔', duration: 12000 },
+  // Critical toasts stay until closed
+  critical: { color: '#b71c1c', icon: '⛔', duration: 0 }
+};
+
+const IN_PAGE_STYLES = `
+  :host { all: initial; }
+  * { box-sizing: border-box; font-family: Arial, sans-serif; }
+  .toasts {
+    position: fixed; right: 16px; bottom: 16px; width: 340px; max-width: calc(100vw - 32px);
+    display: flex; flex-direction: column-reverse; gap: 8px; pointer-events: none;
+  }
+  .toast, .banner { pointer-events: auto; color: #212121; font-size: 13px; line-height: 1.4; }
+  .toast {
+    background: white; border-left: 5px solid var(--color); border-radius: 6px; padding: 10px 32px 10px 12px;
+    box-shadow: 0 4px 16px #0005; position: relative; animation: enter 0.2s ease-out;
+  }
+  .banner {
+    position: fixed; top: 0; left: 0; right: 0; background: var(--color); color: white;
+    padding: 10px 40px 10px 16px; box-shadow: 0 2px 8px #0006; display: flex; gap: 12px; align-items: center;
+  }
+  .title { font-weight: bold; margin-bottom: 2px; }
+  .banner .title { margin: 0; }
+  .count { background: var(--color); color: white; border-radius: 8px; padding: 0 6px; margin-left: 6px; font-size: 11px; }
+  ul { margin: 4px 0 0; padding-left: 18px; }
+  .details { background: none; border: none; padding: 0; margin-top: 6px; color: var(--color); cursor: pointer; font-size: 12px; text-decoration: underline; }
+  .banner .details { color: white; margin: 0; white-space: nowrap; }
+  .close { position: absolute; top: 4px; right: 6px; background: none; border: none; font-size: 18px; color: inherit; cursor: pointer; }
+  @keyframes enter { from { opacity: 0; transform: translateY(8px); } }
+`;
+
+class InPageAlerts {
+  constructor(options = {}) {
+    this.maxToasts = options.maxToasts || 4;
+    this.onDetails = options.onDetails || (() => {});
+    this.toasts = [];
+    this.banner = null;
+  }
+
+  mount() {
+    if (!this.host) {
+      this.host = document.createElement('secureguard-alerts');
+      this.root = this.host.attachShadow({ mode: 'closed' });
+      const style = document.createElement('style');
+      style.textContent = IN_PAGE_STYLES;
+      this.toastList = document.createElement('div');
+      this.toastList.className = 'toasts';
+      this.root.append(style, this.toastList);
+      for (const [name, value] of [['all', 'initial'], ['display', 'block'], ['position', 'fixed'], ['top', '0'],
+        ['left', '0'], ['width', '0'], ['height', '0'], ['overflow', 'visible'], ['z-index', '2147483647']]) {
+        this.host.style.setProperty(name, value, 'important');
+      }
+    }
+    // Kept last in the document so page overlays at the same z-index stay underneath
+    const parent = document.documentElement;
+    if (this.host.parentNode !== parent || this.host.nextSibling) parent.appendChild(this.host);
+  }
+
+  // alert: { severity, title, message, items: [string], alertId }
+  toast(alert) {
+    this.mount();
+    const key = `${alert.severity}\n${alert.title}\n${alert.message}`;
+    // A repeat of a toast that is still showing only bumps its counter
+    const existing = this.toasts.find(toast => toast.key === key);
+    if (existing) {
+      existing.count++;
+      existing.counter.textContent = `×${existing.count}`;
+      existing.counter.hidden = false;
+      this.startTimer(existing);
+      return;
+    }
+
+    const severity = IN_PAGE_SEVERITIES[alert.severity] || IN_PAGE_SEVERITIES.medium;
+    const element = this.render('toast', alert, severity, () => this.dismiss(toast));
+    const counter = document.createElement('span');
+    counter.className = 'count';
+    counter.hidden = true;
+    element.querySelector('.title').appendChild(counter);
+
+    const toast = { key, element, counter, count: 1, duration: severity.duration, timer: null };
+    element.addEventListener('mouseenter', () => clearTimeout(toast.timer));
+    element.addEventListener('mouseleave', () => this.startTimer(toast));
+    this.toasts.push(toast);
+    this.toastList.appendChild(element);
+    while (this.toasts.length > this.maxToasts) this.dismiss(this.toasts[0]);
+    this.startTimer(toast);
+  }
+
+  // The banner stays until closed; a new one only replaces it if it is at least as severe
+  showBanner(alert) {
+    this.mount();
+    const levels = Object.keys(IN_PAGE_SEVERITIES);
+    if (this.banner && levels.indexOf(alert.severity) < levels.indexOf(this.banner.severity)) return;
+    this.hideBanner();
+    const severity = IN_PAGE_SEVERITIES[alert.severity] || IN_PAGE_SEVERITIES.high;
+    const element = this.render('banner', alert, severity, () => this.hideBanner());
+    this.banner = { severity: alert.severity, element };
+    this.root.appendChild(element);
+  }
+
+  hideBanner() {
+    if (!this.banner) return;
+    this.banner.element.remove();
+    this.banner = null;
+  }
+
+  // Everything page-derived goes in through textContent
+  render(kind, alert, severity, close) {
+    const element = document.createElement('div');
+    element.className = kind;
+    element.setAttribute('role', alert.severity === 'low' ? 'status' : 'alert');
+    element.style.setProperty('--color', severity.color);
+
+    const title = document.createElement('div');
+    title.className = 'title';
+    title.textContent = `${severity.icon} ${alert.title}`;
+    const body = document.createElement('div');
+    body.textContent = alert.message;
+    element.append(title, body);
+
+    if (kind === 'toast' && alert.items && alert.items.length) {
+      const list = document.createElement('ul');
+      for (const item of alert.items.slice(0, 5)) {
+        const entry = document.createElement('li');
+        entry.textContent = item;
+        list.appendChild(entry);
+      }
+      element.appendChild(list);
+    }
+    if (alert.alertId) {
+      const details = document.createElement('button');
+      details.className = 'details';
+      details.textContent = 'View details';
+      details.onclick = () => this.onDetails(alert.alertId);
+      element.appendChild(details);
+    }
+    const closeButton = document.createElement('button');
+    closeButton.className = 'close';
+    closeButton.setAttribute('aria-label', 'Dismiss');
+    closeButton.textContent = '×';
+    closeButton.onclick = close;
+    element.appendChild(closeButton);
+    return element;
+  }
+
+  startTimer(toast) {
+    clearTimeout(toast.timer);
+    if (toast.duration) toast.timer = setTimeout(() => this.dismiss(toast), toast.duration);
+  }
+
+  dismiss(toast) {
+    clearTimeout(toast.timer);
+    toast.element.remove();
+    this.toasts = this.toasts.filter(other => other !== toast);
+  }
+}
@@ -0,0 +1,168 @@
+// Flags hostnames that imitate a trusted domain: look-alike characters (IDN homographs and ASCII
+// swaps such as "rn" for "m"), near misspellings, extra words around the name and a different
+// public suffix. The trusted list itself lives in PhishingHeuristics so both checks share it.
+const LOOKALIKE_REASONS = {
+  homograph: 'uses look-alike characters from another alphabet',
+  confusable: 'swaps in look-alike letters or digits',
+  typosquat: 'is a near misspelling',
+  combosquatting: 'adds words around the name',
+  tld_swap: 'uses a different domain ending'
+};
+
+// Letters from other scripts that render like Latin ones; accents are stripped separately
+const CONFUSABLE_CHARACTERS = {
+  'а': 'a', 'е': 'e', 'о': 'o', 'р': 'p', 'с': 'c', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i', 'ј': 'j',
+  'ԁ': 'd', 'һ': 'h', 'ӏ': 'l', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g', 'ı': 'i', 'ɑ': 'a', 'ɩ': 'i', 'ℓ': 'l',
+  'α': 'a', 'ο': 'o', 'ρ': 'p', 'ν': 'v', 'ι': 'i', 'κ': 'k', 'υ': 'u', 'χ': 'x', 'ε': 'e', 'τ': 't'
+};
+
+class LookalikeDetector {
+  constructor(phishing) {
+    this.phishing = phishing;
+    this.cache = new Map();
+    this.cachedFor = null;
+  }
+
+  // Resolves to null, or { trusted, hostname, displayHost, reasons: [{ id, message }] }
+  check(hostname) {
+    const trusted = this.phishing.trustedDomains;
+    if (this.cachedFor !== trusted) {
+      this.cache.clear();
+      this.cachedFor = trusted;
+    }
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (!this.cache.has(host)) {
+      if (this.cache.size >= 500) this.cache.clear();
+      this.cache.set(host, this.match(host, trusted));
+    }
+    return this.cache.get(host);
+  }
+
+  match(hostname, trusted) {
+    if (!hostname.includes('.') || /^[\d.]+$/.test(hostname) || hostname.includes(':')) return null;
+    if (trusted.some(entry => this.phishing.relatedDomains(entry).some(domain => this.phishing.belongsTo(hostname, domain)))) return null;
+
+    const displayHost = hostname.split('.').map(label => this.decodePunycode(label)).join('.');
+    const candidate = this.split(displayHost);
+    for (const entry of trusted) {
+      const reasons = this.compare(candidate, this.split(entry.domain.split('.').map(label => this.decodePunycode(label)).join('.')));
+      if (reasons.length) {
+        return {
+          trusted: entry.domain,
+          brand: entry.brand || '',
+          hostname,
+          displayHost,
+          reasons: reasons.map(id => ({ id, message: LOOKALIKE_REASONS[id] }))
+        };
+      }
+    }
+    return null;
+  }
+
+  // "login.acme-bank.co.uk" -> { name: "acme-bank", suffix: "co.uk", subdomain: "login" }
+  split(host) {
+    const registrable = this.phishing.registrableDomain(host);
+    const name = registrable.split('.')[0];
+    return {
+      host,
+      name,
+      suffix: registrable.slice(name.length + 1),
+      subdomain: host.replace(/^www\./, '').slice(0, -registrable.length).replace(/\.$/, ''),
+      skeleton: this.skeleton(name)
+    };
+  }
+
+  compare(candidate, trusted) {
+    const reasons = [];
+    const sameSuffix = candidate.suffix === trusted.suffix;
+    if (candidate.name !== trusted.name && candidate.skeleton === trusted.skeleton) {
+      reasons.push(/[^\x00-\x7f]/.test(candidate.name) ? 'homograph' : 'confusable');
+    } else if (candidate.name !== trusted.name && trusted.name.length >= 5) {
+      const limit = trusted.name.length >= 9 ? 2 : 1;
+      if (this.distance(candidate.skeleton, trusted.skeleton, limit) <= limit) reasons.push('typosquat');
+    }
+    // "acme-bank-login.com", "acmebanksecure.net" and "acme-bank.com.verify-account.net"
+    const addsWords = candidate.skeleton !== trusted.skeleton && (
+      candidate.name.split('-').includes(trusted.name) ||
+      (trusted.name.length >= 5 && candidate.skeleton.includes(trusted.skeleton))
+    );
+    const inSubdomain = trusted.name.length >= 4 &&
+      candidate.subdomain.split('.').some(label => this.skeleton(label).includes(trusted.skeleton));
+    if (addsWords || inSubdomain) reasons.push('combosquatting');
+    if (!sameSuffix && (candidate.name === trusted.name || reasons.includes('homograph') || reasons.includes('confusable'))) {
+      reasons.push('tld_swap');
+    }
+    return reasons;
+  }
+
+  // What a name looks like once accents, look-alike letters and ASCII tricks are folded away
+  skeleton(text) {
+    return text.normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/./gu, ch => CONFUSABLE_CHARACTERS[ch] || ch)
+      .replace(/rn/g, 'm')
+      .replace(/vv/g, 'w')
+      .replace(/0/g, 'o')
+      .replace(/[1i]/g, 'l');
+  }
+
+  // Optimal string alignment distance, giving up once it exceeds the limit
+  distance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], previous2[j - 2] + 1);
+        }
+        best = Math.min(best, current[j]);
+      }
+      if (best > limit) return limit + 1;
+      previous2 = previous;
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  // RFC 3492 decoding of a single "xn--" label; anything malformed is returned unchanged
+  decodePunycode(label) {
+    if (!label.startsWith('xn--')) return label;
+    const input = label.slice(4);
+    const base = 36;
+    const tMin = 1;
+    const tMax = 26;
+    const delimiter = input.lastIndexOf('-');
+    const output = delimiter > 0 ? Array.from(input.slice(0, delimiter)) : [];
+    let n = 128;
+    let i = 0;
+    let bias = 72;
+    for (let pos = delimiter > 0 ? delimiter + 1 : 0; pos < input.length;) {
+      const oldi = i;
+      for (let w = 1, k = base; ; k += base) {
+        if (pos >= input.length) return label;
+        const code = input.charCodeAt(pos++);
+        const digit = code >= 48 && code <= 57 ? code - 22 : code >= 97 && code <= 122 ? code - 97 : base;
+        if (digit >= base) return label;
+        i += digit * w;
+        const t = k <= bias ? tMin : k >= bias + tMax ? tMax : k - bias;
+        if (digit < t) break;
+        w *= base - t;
+      }
+      const length = output.length + 1;
+      let delta = oldi === 0 ? Math.floor(i / 700) : Math.floor((i - oldi) / 2);
+      delta += Math.floor(delta / length);
+      let k = 0;
+      for (; delta > ((base - tMin) * tMax) >> 1; k += base) delta = Math.floor(delta / (base - tMin));
+      bias = k + Math.floor(((base - tMin + 1) * delta) / (delta + 38));
+      n += Math.floor(i / length);
+      i %= length;
+      output.splice(i++, 0, String.fromCodePoint(n));
+    }
+    return output.join('');
+  }
+}
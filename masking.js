@@ -0,0 +1,62 @@
+// One masking policy for every place a detected value is shown, stored, exported or redacted
+class MaskingPolicy {
+  constructor() {
+    this.maskChar = '*';
+    // Detectors whose match includes the "password:" style key; only the value after it is masked
+    this.keyedPrefix = /^(?:aws_?secret_?(?:access_?)?key|password|passwd|pwd|api[_-]?key)\s*[:=]\s*["']?/i;
+  }
+
+  // Masks keep the shape of the original so downstream validation (lengths, separators) still passes
+  mask(finding, value) {
+    switch (finding.detector) {
+      case 'credit_card':
+      case 'ssn':
+      case 'aadhaar':
+        return this.keepLast(value, 4);
+      case 'iban':
+        return value.slice(0, 2) + this.keepLast(value.slice(2), 4);
+      case 'email': {
+        const at = value.lastIndexOf('@');
+        return `${value[0]}${this.maskChar.repeat(3)}${value.slice(at)}`;
+      }
+      case 'ip_address':
+      case 'passport_mrz':
+        return this.keepLast(value, 0);
+      case 'db_connection_string':
+        return value.replace(/(:\/\/[^\s:@/]+:)[^\s@/]+@/, `$1${this.maskChar.repeat(4)}@`);
+      case 'password':
+      case 'api_key':
+      case 'aws_secret_key': {
+        const prefix = value.match(this.keyedPrefix);
+        return `${prefix ? prefix[0] : ''}[REDACTED]`;
+      }
+      case 'exact_match':
+        return '[REDACTED]';
+    }
+    if (finding.type === 'secret') return `[REDACTED ${finding.provider || 'secret'}]`;
+    return value.length >= 8 ? this.keepLast(value, 4) : this.keepLast(value, 0);
+  }
+
+  keepLast(value, visible) {
+    let hidden = (value.match(/[A-Za-z0-9]/g) || []).length - visible;
+    return value.replace(/[A-Za-z0-9]/g, ch => (hidden-- > 0 ? this.maskChar : ch));
+  }
+
+  // Findings stored in masked-only mode have no value left, just the preview made when they were saved
+  preview(finding) {
+    if (finding.preview !== undefined) return finding.preview;
+    return finding.value === undefined ? '' : this.mask(finding, finding.value);
+  }
+
+  maskFinding(finding) {
+    const { value, context, ...rest } = finding;
+    return { ...rest, preview: this.preview(finding) };
+  }
+
+  maskAlert(alert) {
+    const masked = { ...alert };
+    if (alert.data) masked.data = alert.data.map(item => this.maskFinding(item));
+    if (alert.email) masked.email = this.mask({ detector: 'email' }, alert.email);
+    return masked;
+  }
+}
@@ -0,0 +1,170 @@
+const DETECTOR_REGIONS = {
+  india: 'regionIndia',
+  uk: 'regionUK',
+  eu: 'regionEU',
+  international: 'regionInternational'
+};
+
+const NationalIdValidators = {
+  verhoeffD: [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6], [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4], [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+  ],
+
+  verhoeffP: [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2], [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+  ],
+
+  verhoeff(digits) {
+    let check = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+      check = NationalIdValidators.verhoeffD[check][NationalIdValidators.verhoeffP[i % 8][Number(reversed[i])]];
+    }
+    return check === 0;
+  },
+
+  ibanLengths: {
+    AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29, CH: 21, CR: 22, CY: 28,
+    CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24, FI: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23,
+    GL: 18, GR: 27, GT: 28, HR: 21, HU: 28, IE: 22, IL: 23, IQ: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20,
+    LB: 28, LC: 32, LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31, MU: 30,
+    NL: 18, NO: 15, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22, SA: 24, SC: 31, SE: 24, SI: 19,
+    SK: 24, SM: 27, ST: 25, SV: 28, TL: 23, TN: 24, TR: 26, UA: 29, VA: 22, VG: 24, XK: 20
+  },
+
+  iban(value) {
+    const iban = value.replace(/\s/g, '');
+    if (NationalIdValidators.ibanLengths[iban.slice(0, 2)] !== iban.length) return false;
+    const rearranged = iban.slice(4) + iban.slice(0, 4);
+    let remainder = 0;
+    for (const ch of rearranged) {
+      const digits = /\d/.test(ch) ? ch : String(ch.charCodeAt(0) - 55);
+      for (const digit of digits) remainder = (remainder * 10 + Number(digit)) % 97;
+    }
+    return remainder === 1;
+  },
+
+  aadhaar(value) {
+    return NationalIdValidators.verhoeff(value.replace(/[\s-]/g, ''));
+  },
+
+  // HMRC never issues these prefixes, and D, F, I, Q, U, V are not used in either letter
+  ukNino(value) {
+    const nino = value.replace(/\s/g, '').toUpperCase();
+    return !['BG', 'GB', 'KN', 'NK', 'NT', 'TN', 'ZZ'].includes(nino.slice(0, 2));
+  },
+
+  mrzCheckDigit(field) {
+    const weights = [7, 3, 1];
+    let sum = 0;
+    for (let i = 0; i < field.length; i++) {
+      const ch = field[i];
+      let n = 0;
+      if (/\d/.test(ch)) n = Number(ch);
+      else if (/[A-Z]/.test(ch)) n = ch.charCodeAt(0) - 55;
+      sum += n * weights[i % 3];
+    }
+    return String(sum % 10);
+  },
+
+  // TD3 passport line 2: document number, birth date, expiry, personal number and composite check digits
+  passportMrz(line) {
+    const check = NationalIdValidators.mrzCheckDigit;
+    if (check(line.slice(0, 9)) !== line[9]) return false;
+    if (check(line.slice(13, 19)) !== line[19]) return false;
+    if (check(line.slice(21, 27)) !== line[27]) return false;
+    if (line[42] !== '<' && check(line.slice(28, 42)) !== line[42]) return false;
+    return check(line.slice(0, 10) + line.slice(13, 20) + line.slice(21, 43)) === line[43];
+  },
+
+  countryCodes: new Set((
+    'AD AE AF AG AI AL AM AO AQ AR AS AT AU AW AX AZ BA BB BD BE BF BG BH BI BJ BL BM BN BO BQ BR BS BT BV BW BY BZ ' +
+    'CA CC CD CF CG CH CI CK CL CM CN CO CR CU CV CW CX CY CZ DE DJ DK DM DO DZ EC EE EG EH ER ES ET FI FJ FK FM FO FR ' +
+    'GA GB GD GE GF GG GH GI GL GM GN GP GQ GR GS GT GU GW GY HK HM HN HR HT HU ID IE IL IM IN IO IQ IR IS IT JE JM JO ' +
+    'JP KE KG KH KI KM KN KP KR KW KY KZ LA LB LC LI LK LR LS LT LU LV LY MA MC MD ME MF MG MH MK ML MM MN MO MP MQ MR ' +
+    'MS MT MU MV MW MX MY MZ NA NC NE NF NG NI NL NO NP NR NU NZ OM PA PE PF PG PH PK PL PM PN PR PS PT PW PY QA RE RO ' +
+    'RS RU RW SA SB SC SD SE SG SH SI SJ SK SL SM SN SO SR SS ST SV SX SY SZ TC TD TF TG TH TJ TK TL TM TN TO TR TT TV ' +
+    'TW TZ UA UG UM US UY UZ VA VC VE VG VI VN VU WF WS XK YE YT ZA ZM ZW'
+  ).split(' ')),
+
+  swiftBic(value) {
+    if (!NationalIdValidators.countryCodes.has(value.slice(4, 6))) return false;
+    // A location code ending in 0 marks a test BIC that never carries real payments
+    return value[7] === '0' ? false : 0.45;
+  }
+};
+
+const NATIONAL_ID_DETECTORS = [
+  {
+    id: 'aadhaar',
+    pattern: /\b[2-9]\d{3}[\s-]?\d{4}[\s-]?\d{4}\b/,
+    validate: NationalIdValidators.aadhaar,
+    confidence: 0.75,
+    severity: 'high',
+    keywords: ['aadhaar', 'aadhar', 'uidai', 'uid'],
+    regions: ['india'],
+    meta: { label: 'Aadhaar number', region: 'india' }
+  },
+  {
+    id: 'pan',
+    pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/,
+    confidence: 0.7,
+    severity: 'high',
+    keywords: ['pan', 'permanent account', 'income tax'],
+    regions: ['india'],
+    meta: { label: 'PAN', region: 'india' }
+  },
+  {
+    id: 'ifsc',
+    pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/,
+    confidence: 0.5,
+    severity: 'medium',
+    keywords: ['ifsc', 'branch', 'neft', 'rtgs'],
+    regions: ['india'],
+    meta: { label: 'IFSC code', region: 'india' }
+  },
+  {
+    id: 'uk_nino',
+    pattern: /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/,
+    validate: NationalIdValidators.ukNino,
+    confidence: 0.8,
+    severity: 'high',
+    keywords: ['national insurance', 'nino', 'ni number'],
+    regions: ['uk'],
+    meta: { label: 'UK National Insurance number', region: 'uk' }
+  },
+  {
+    id: 'iban',
+    pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/,
+    validate: NationalIdValidators.iban,
+    confidence: 0.95,
+    severity: 'high',
+    regions: ['eu', 'uk'],
+    meta: { label: 'IBAN', region: 'eu' }
+  },
+  {
+    id: 'passport_mrz',
+    pattern: /(?<![A-Z0-9<])[A-Z0-9<]{9}\d[A-Z<]{3}\d{7}[MFX<]\d{7}[A-Z0-9<]{14}[\d<]\d(?![A-Z0-9<])/,
+    validate: NationalIdValidators.passportMrz,
+    confidence: 0.95,
+    severity: 'critical',
+    regions: ['international'],
+    meta: { label: 'Passport MRZ', region: 'international' }
+  },
+  {
+    id: 'swift_bic',
+    pattern: /\b[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}(?:[A-Z0-9]{3})?\b/,
+    validate: NationalIdValidators.swiftBic,
+    severity: 'medium',
+    keywords: ['swift', 'bic', 'bank code'],
+    regions: ['international'],
+    meta: { label: 'SWIFT/BIC', region: 'international' }
+  }
+];
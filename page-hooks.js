@@ -0,0 +1,215 @@
+// Runs in the page's main world so it can wrap the network APIs page scripts call.
+// It has no extension APIs: every payload is handed to content.js, which asks the
+// background engine for a policy verdict and answers with allow, redact or block.
+(() => {
+  const PAGE_SOURCE = 'secureguard-page';
+  const CONTENT_SOURCE = 'secureguard-content';
+  const ACK_TIMEOUT = 1000;
+  const MAX_BODY_BYTES = 512 * 1024;
+  // XHR has no scheme handler for this, so a request opened to it fails like a network error
+  const BLOCKED_URL = 'secureguard-blocked:request';
+
+  const pending = new Map();
+  const xhrRequests = new WeakMap();
+  const socketQueues = new WeakMap();
+  let nextId = 0;
+
+  const originalFetch = window.fetch;
+  const originalOpen = XMLHttpRequest.prototype.open;
+  const originalSend = XMLHttpRequest.prototype.send;
+  const originalAbort = XMLHttpRequest.prototype.abort;
+  const originalSendBeacon = navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null;
+  const originalSocketSend = window.WebSocket ? WebSocket.prototype.send : null;
+
+  window.addEventListener('message', event => {
+    const message = event.data;
+    if (event.source !== window || !message || message.source !== CONTENT_SOURCE) return;
+    const entry = pending.get(message.id);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    // Once content.js acknowledges, wait as long as the user needs to answer the warning
+    if (message.kind === 'ack') return;
+    pending.delete(message.id);
+    entry.resolve(message);
+  });
+
+  function requestVerdict(api, url, method, body) {
+    return new Promise(resolve => {
+      const id = `${Date.now()}-${++nextId}`;
+      // Fail open when content.js is not there to answer, e.g. right after the extension reloads
+      const timer = setTimeout(() => {
+        pending.delete(id);
+        resolve({ action: 'allow' });
+      }, ACK_TIMEOUT);
+      pending.set(id, { resolve, timer });
+      window.postMessage({ source: PAGE_SOURCE, kind: 'request', id, api, url, method, body }, '*');
+    });
+  }
+
+  function decodeBytes(bytes) {
+    if (bytes.byteLength > MAX_BODY_BYTES) return null;
+    return new TextDecoder().decode(bytes);
+  }
+
+  async function serializeBody(body) {
+    if (body == null) return null;
+    if (typeof body === 'string') return body;
+    if (body instanceof URLSearchParams) return body.toString();
+    if (body instanceof FormData) {
+      return Array.from(body.entries())
+        .filter(([, value]) => typeof value === 'string')
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(' ');
+    }
+    if (body instanceof Blob) {
+      if (body.size > MAX_BODY_BYTES || (body.type && !/^(text\/|application\/(json|xml|x-www-form-urlencoded))/.test(body.type))) {
+        return null;
+      }
+      return body.text();
+    }
+    if (body instanceof ArrayBuffer) return decodeBytes(new Uint8Array(body));
+    if (ArrayBuffer.isView(body)) return decodeBytes(new Uint8Array(body.buffer, body.byteOffset, body.byteLength));
+    return null;
+  }
+
+  // Bodies are rebuilt in their original type; FormData cannot be mapped back from its flattened text
+  function applyRedaction(original, redacted) {
+    if (typeof original === 'string') return redacted;
+    if (original instanceof URLSearchParams) return new URLSearchParams(redacted);
+    if (original instanceof Blob) return new Blob([redacted], { type: original.type });
+    if (original instanceof ArrayBuffer) return new TextEncoder().encode(redacted).buffer;
+    if (ArrayBuffer.isView(original)) return new TextEncoder().encode(redacted);
+    return undefined;
+  }
+
+  async function inspect(api, url, method, body) {
+    let text = null;
+    try {
+      text = await serializeBody(body);
+    } catch (e) {
+      text = null;
+    }
+    const absoluteUrl = new URL(String(url), location.href).href;
+    if (!text && !absoluteUrl.includes('?')) return { action: 'allow' };
+
+    const verdict = await requestVerdict(api, absoluteUrl, method, text);
+    if (verdict.action === 'redact') {
+      const redactedBody = applyRedaction(body, verdict.body);
+      return redactedBody === undefined ? { action: 'block' } : { action: 'redact', body: redactedBody };
+    }
+    return verdict;
+  }
+
+  // init may be null or undefined, as fetch allows; it is passed on exactly as the page gave it
+  window.fetch = async function (input, init) {
+    const options = init || {};
+    const request = input instanceof Request ? input : null;
+    const method = (options.method || request?.method || 'GET').toUpperCase();
+    let body = options.body;
+    if (body === undefined && request && !['GET', 'HEAD'].includes(method)) {
+      body = await request.clone().text();
+    }
+
+    const verdict = await inspect('fetch', request ? request.url : input, method, body);
+    if (verdict.action === 'block') throw new TypeError('Failed to fetch');
+    if (verdict.action === 'redact') {
+      return request && options.body === undefined
+        ? originalFetch.call(window, new Request(request, { body: verdict.body }))
+        : originalFetch.call(window, input, { ...options, body: verdict.body });
+    }
+    return originalFetch.call(window, input, init);
+  };
+
+  XMLHttpRequest.prototype.open = function (method, url, async = true, ...rest) {
+    xhrRequests.set(this, { method: String(method).toUpperCase(), url: String(url), async: async !== false });
+    return originalOpen.call(this, method, url, async, ...rest);
+  };
+
+  // The browser then fires readystatechange, error and loadend with readyState 4, as libraries expect
+  function failRequest(xhr, request) {
+    originalOpen.call(xhr, request.method, BLOCKED_URL);
+    originalSend.call(xhr);
+  }
+
+  XMLHttpRequest.prototype.send = function (body) {
+    const request = xhrRequests.get(this);
+    // Synchronous requests cannot be held without freezing the page. Requests that are not open
+    // are left to the browser, which throws InvalidStateError for them.
+    if (!request || !request.async || this.readyState !== XMLHttpRequest.OPENED) return originalSend.call(this, body);
+    // Sent once already, so the browser would refuse it too; only open() makes it sendable again
+    if (request.sent) {
+      throw new DOMException("Failed to execute 'send' on 'XMLHttpRequest': The object's state must be OPENED.", 'InvalidStateError');
+    }
+
+    request.sent = true;
+    request.pending = true;
+    // Only the request still waiting on this verdict is sent: abort() or a new open() supersedes it
+    const isCurrent = () => request.pending && xhrRequests.get(this) === request;
+    inspect('xhr', request.url, request.method, body).then(verdict => {
+      if (!isCurrent()) return;
+      request.pending = false;
+      if (verdict.action === 'block') {
+        failRequest(this, request);
+      } else {
+        originalSend.call(this, verdict.action === 'redact' ? verdict.body : body);
+      }
+    }).catch(() => {
+      if (!isCurrent()) return;
+      request.pending = false;
+      try {
+        originalSend.call(this, body);
+      } catch (e) {
+        // The page changed the request in a way the browser refuses; it sees the same as without us
+      }
+    });
+  };
+
+  XMLHttpRequest.prototype.abort = function () {
+    const request = xhrRequests.get(this);
+    if (request && request.pending) {
+      request.pending = false;
+      // Nothing was sent yet, so a stand-in request is started for the browser to abort with the usual events
+      failRequest(this, request);
+    }
+    return originalAbort.call(this);
+  };
+
+  if (originalSendBeacon) {
+    // sendBeacon must answer synchronously, so the beacon is queued and reported as accepted.
+    // Bad URLs still throw here, as they do natively.
+    navigator.sendBeacon = function (url, data) {
+      const target = new URL(String(url), location.href);
+      if (!['http:', 'https:'].includes(target.protocol)) throw new TypeError(`Beacons cannot be sent to ${target.protocol} URLs`);
+      inspect('beacon', target.href, 'POST', data).then(verdict => {
+        if (verdict.action === 'block') return;
+        originalSendBeacon(target.href, verdict.action === 'redact' ? verdict.body : data);
+      }).catch(() => {});
+      return true;
+    };
+  }
+
+  if (originalSocketSend) {
+    WebSocket.prototype.send = function (data) {
+      // The browser throws InvalidStateError for a socket that is still connecting
+      if (this.readyState === WebSocket.CONNECTING) return originalSocketSend.call(this, data);
+      // Chain per socket so held messages still go out in the order they were sent
+      const queue = (socketQueues.get(this) || Promise.resolve()).then(async () => {
+        const verdict = await inspect('websocket', this.url, 'SEND', data);
+        if (verdict.action === 'block') return;
+        originalSocketSend.call(this, verdict.action === 'redact' ? verdict.body : data);
+      });
+      socketQueues.set(this, queue.catch(() => {}));
+    };
+  }
+
+  // content.js cannot see a shadow root being attached, so the host announces it; the event only
+  // reaches the document when the host is already in the page, and later hosts are found by its observer
+  const originalAttachShadow = Element.prototype.attachShadow;
+  Element.prototype.attachShadow = function (init) {
+    const root = originalAttachShadow.call(this, init);
+    if (init && init.mode === 'open') {
+      this.dispatchEvent(new CustomEvent('secureguard-shadow-root', { bubbles: true, composed: true }));
+    }
+    return root;
+  };
+})();
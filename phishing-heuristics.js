@@ -0,0 +1,120 @@
+// Scores a page from what the content script saw on it. The content script reports structural
+// findings (insecure password fields, suspicious form actions, framed logins) and identity signals
+// (title, favicon, logo text); brand imitation is judged here so the trusted list never leaves
+// the service worker.
+const PHISHING_WEIGHTS = {
+  insecure_password: 30,
+  form_data_url: 40,
+  form_ip_action: 30,
+  form_insecure_action: 25,
+  form_cross_origin: 20,
+  framed_login: 25,
+  brand_mismatch: 30,
+  trusted_imitation: 40
+};
+
+// Brands that are imitated most often; trusted domains add their own names
+const COMMON_BRANDS = [
+  { name: 'PayPal', domains: ['paypal.com'] },
+  { name: 'Microsoft', domains: ['microsoft.com', 'live.com', 'office.com', 'microsoftonline.com', 'outlook.com'] },
+  { name: 'Office 365', domains: ['office.com', 'microsoftonline.com', 'microsoft.com'] },
+  { name: 'Outlook', domains: ['outlook.com', 'live.com', 'office.com'] },
+  { name: 'Google', domains: ['google.com', 'gmail.com', 'youtube.com'] },
+  { name: 'Apple', domains: ['apple.com', 'icloud.com'] },
+  { name: 'iCloud', domains: ['icloud.com', 'apple.com'] },
+  { name: 'Amazon', domains: ['amazon.com', 'amazon.co.uk', 'amazon.de', 'amazon.in'] },
+  { name: 'Facebook', domains: ['facebook.com', 'meta.com'] },
+  { name: 'Instagram', domains: ['instagram.com'] },
+  { name: 'Netflix', domains: ['netflix.com'] },
+  { name: 'LinkedIn', domains: ['linkedin.com'] },
+  { name: 'Dropbox', domains: ['dropbox.com'] },
+  { name: 'GitHub', domains: ['github.com', 'githubusercontent.com', 'githubassets.com', 'githubapp.com'] },
+  { name: 'DocuSign', domains: ['docusign.com', 'docusign.net'] },
+  { name: 'Chase', domains: ['chase.com'] },
+  { name: 'Wells Fargo', domains: ['wellsfargo.com'] },
+  { name: 'Bank of America', domains: ['bankofamerica.com'] },
+  { name: 'Coinbase', domains: ['coinbase.com'] }
+];
+
+class PhishingHeuristics {
+  constructor() {
+    this.trustedDomains = [];
+  }
+
+  setTrustedDomains(entries = []) {
+    this.trustedDomains = entries;
+  }
+
+  // "acme-bank.com" is known as "acme bank" unless the user gave it a name
+  brands() {
+    const trusted = this.trustedDomains.map(entry => ({
+      name: entry.brand || this.registrableDomain(entry.domain).split('.')[0].replace(/-/g, ' '),
+      domains: this.relatedDomains(entry),
+      trusted: true
+    }));
+    return [...trusted, ...COMMON_BRANDS];
+  }
+
+  // A trusted site's other domains are its own, not imitations: the ones listed with it, and
+  // those of a common brand it belongs to (microsoft.com also signs in on microsoftonline.com)
+  relatedDomains(entry) {
+    const families = COMMON_BRANDS.filter(brand => brand.domains.some(domain => this.belongsTo(entry.domain, domain)));
+    return [...new Set([entry.domain, ...(entry.relatedDomains || []), ...families.flatMap(brand => brand.domains)])];
+  }
+
+  // Good enough for matching brands: the last two labels, or three under a two-letter second level (co.uk)
+  registrableDomain(hostname) {
+    const labels = hostname.toLowerCase().replace(/^www\./, '').split('.');
+    const size = labels.length > 2 && /^(co|com|net|org|gov|ac|edu)$/.test(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-size).join('.');
+  }
+
+  belongsTo(hostname, domain) {
+    const host = hostname.toLowerCase();
+    return host === domain || host.endsWith(`.${domain}`);
+  }
+
+  mentions(text, name) {
+    const words = name.toLowerCase().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`(^|[^a-z0-9])${words.join('[\\s-]?')}($|[^a-z0-9])`, 'i').test(text);
+  }
+
+  assess(pageUrl, { findings = [], signals = {} } = {}) {
+    const hostname = new URL(pageUrl).hostname;
+    const results = findings.filter(finding => PHISHING_WEIGHTS[finding.id]);
+
+    // Brand names on a page are only suspicious when it also asks for a password
+    if (signals.hasPasswordField) {
+      const identity = [signals.title, signals.siteName, ...(signals.logoTexts || [])].filter(Boolean).join(' \n ');
+      for (const brand of this.brands()) {
+        if (brand.domains.some(domain => this.belongsTo(hostname, domain))) continue;
+        const faviconHost = this.hostOf(signals.faviconUrl);
+        const borrowedFavicon = faviconHost && brand.domains.some(domain => this.belongsTo(faviconHost, domain));
+        const named = this.mentions(identity, brand.name);
+        if (!named && !borrowedFavicon) continue;
+
+        const where = borrowedFavicon ? `uses the ${brand.name} favicon` : `presents itself as ${brand.name}`;
+        results.push({
+          id: brand.trusted ? 'trusted_imitation' : 'brand_mismatch',
+          message: `Page ${where} but is not on ${brand.domains[0]}`
+        });
+        break;
+      }
+    }
+
+    const score = Math.min(100, results.reduce((sum, finding) => sum + PHISHING_WEIGHTS[finding.id], 0));
+    return {
+      score,
+      level: score >= 60 ? 'high' : score >= 30 ? 'medium' : 'low',
+      findings: results
+    };
+  }
+
+  hostOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,182 @@
+class PolicyEngine {
+  constructor() {
+    // Ordered from least to most restrictive
+    this.actions = ['allow', 'log', 'warn', 'redact', 'block'];
+    this.channels = ['form', 'request_body', 'header', 'paste', 'copy', 'upload', 'ai_prompt'];
+    this.severities = ['low', 'medium', 'high', 'critical'];
+    this.defaultAction = 'warn';
+    // Data that could not be checked is only logged unless a rule names its type
+    this.unscannedTypes = ['unscanned_file', 'unscanned_text'];
+    this.rules = [];
+    this.clipboardActions = ['redact', 'block'];
+    this.clipboardRules = [];
+  }
+
+  load(rules) {
+    this.rules = (rules || []).filter(rule => {
+      try {
+        this.validateRule(rule);
+        return rule.enabled !== false;
+      } catch (e) {
+        console.warn(`Skipping policy rule "${rule && rule.name}":`, e.message);
+        return false;
+      }
+    });
+  }
+
+  // autoBlock and alertLevel predate the policy engine; turn them into an equivalent rule list
+  rulesFromLegacySettings(settings = {}) {
+    const thresholds = { low: 'critical', medium: 'medium', high: 'low' };
+    return [
+      {
+        id: 'legacy-threshold',
+        name: 'Alert sensitivity threshold',
+        domains: [],
+        dataTypes: [],
+        channels: [],
+        minSeverity: thresholds[settings.alertLevel] || 'medium',
+        action: settings.autoBlock ? 'block' : 'warn',
+        enabled: true
+      },
+      {
+        id: 'legacy-below-threshold',
+        name: 'Log everything else',
+        domains: [],
+        dataTypes: [],
+        channels: [],
+        minSeverity: 'low',
+        action: 'log',
+        enabled: true
+      }
+    ];
+  }
+
+  validateRule(rule) {
+    if (!rule || !rule.name || !String(rule.name).trim()) throw new Error('Rule needs a name');
+    if (!this.actions.includes(rule.action)) throw new Error(`Unknown action: ${rule.action}`);
+    if (rule.minSeverity && !this.severities.includes(rule.minSeverity)) {
+      throw new Error(`Unknown severity: ${rule.minSeverity}`);
+    }
+    const unknownChannel = (rule.channels || []).find(channel => !this.channels.includes(channel));
+    if (unknownChannel) throw new Error(`Unknown channel: ${unknownChannel}`);
+    const badDomain = (rule.domains || []).find(domain => !/^[a-z0-9*.-]+$/i.test(domain));
+    if (badDomain) throw new Error(`Invalid domain pattern: ${badDomain}`);
+  }
+
+  loadClipboardRules(rules) {
+    this.clipboardRules = (rules || []).filter(rule => {
+      try {
+        this.validateClipboardRule(rule);
+        return rule.enabled !== false;
+      } catch (e) {
+        console.warn(`Skipping clipboard rule "${rule && rule.name}":`, e.message);
+        return false;
+      }
+    });
+  }
+
+  validateClipboardRule(rule) {
+    if (!rule || !rule.name || !String(rule.name).trim()) throw new Error('Rule needs a name');
+    if (!this.clipboardActions.includes(rule.action)) throw new Error(`Unknown action: ${rule.action}`);
+    if (!rule.sources?.length) throw new Error('Rule needs at least one source domain');
+    const badDomain = [...rule.sources, ...(rule.allowedDestinations || [])].find(domain => !/^[a-z0-9*.-]+$/i.test(domain));
+    if (badDomain) throw new Error(`Invalid domain pattern: ${badDomain}`);
+  }
+
+  // Text copied from a rule's sources may be pasted back into them or into its allowed destinations;
+  // anywhere else the first matching rule decides
+  evaluatePaste({ sourceUrl, destinationUrl }) {
+    const source = this.hostnameOf(sourceUrl);
+    const destination = this.hostnameOf(destinationUrl);
+    const rule = source && destination !== source && this.clipboardRules.find(candidate =>
+      candidate.sources.some(domain => this.matchesDomain(domain, source)) && !this.pasteAllowedOn(candidate, destination));
+    return {
+      action: rule ? rule.action : 'allow',
+      rule: rule ? { id: rule.id, name: rule.name } : null,
+      channel: 'paste',
+      source,
+      destination
+    };
+  }
+
+  pasteAllowedOn(rule, hostname) {
+    return [...rule.sources, ...(rule.allowedDestinations || [])].some(domain => this.matchesDomain(domain, hostname));
+  }
+
+  // Whether text copied elsewhere could be refused on this page at all
+  restrictsPaste(destinationUrl) {
+    const destination = this.hostnameOf(destinationUrl);
+    return this.clipboardRules.some(rule => !this.pasteAllowedOn(rule, destination));
+  }
+
+  hostnameOf(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (e) {
+      return '';
+    }
+  }
+
+  // "*.example.com" covers example.com and its subdomains; other "*" characters match within a label
+  matchesDomain(pattern, hostname) {
+    const host = hostname.toLowerCase();
+    const normalized = pattern.trim().toLowerCase();
+    if (normalized === '*') return true;
+    if (normalized.startsWith('*.')) {
+      const base = normalized.slice(2);
+      return host === base || this.globToRegExp(base, true).test(host);
+    }
+    return this.globToRegExp(normalized, false).test(host);
+  }
+
+  globToRegExp(glob, withSubdomains) {
+    const body = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^.]*');
+    return new RegExp(`^${withSubdomains ? '(?:[^.]+\\.)+' : ''}${body}$`);
+  }
+
+  ruleMatches(rule, { hostname, channel, finding }) {
+    if (rule.domains?.length && !rule.domains.some(domain => this.matchesDomain(domain, hostname))) return false;
+    if (rule.channels?.length && !rule.channels.includes(channel)) return false;
+    if (rule.dataTypes?.length && !rule.dataTypes.some(type => type === finding.type || type === finding.detector)) {
+      return false;
+    }
+    const minSeverity = this.severities.indexOf(rule.minSeverity || 'low');
+    return this.severities.indexOf(finding.severity || 'medium') >= minSeverity;
+  }
+
+  defaultActionFor(finding) {
+    return this.unscannedTypes.includes(finding.type) ? 'log' : this.defaultAction;
+  }
+
+  evaluate({ url, channel, findings = [] }) {
+    let hostname = '';
+    try {
+      hostname = new URL(url).hostname;
+    } catch (e) {
+      // Missing or opaque URLs only match rules without a domain condition
+    }
+
+    const decisions = findings.map(finding => {
+      const rule = this.rules.find(candidate => this.ruleMatches(candidate, { hostname, channel, finding }));
+      return { finding, rule, action: rule ? rule.action : this.defaultActionFor(finding) };
+    });
+
+    const strongest = decisions.reduce((current, decision) =>
+      !current || this.actions.indexOf(decision.action) > this.actions.indexOf(current.action) ? decision : current
+    , null);
+
+    return {
+      action: strongest ? strongest.action : 'allow',
+      rule: strongest?.rule ? { id: strongest.rule.id, name: strongest.rule.name } : null,
+      channel,
+      hostname,
+      findings: decisions.map(({ finding, rule, action }) => ({
+        type: finding.type,
+        detector: finding.detector,
+        severity: finding.severity,
+        action,
+        rule: rule ? rule.name : null
+      }))
+    };
+  }
+}
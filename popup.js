@@ -3,12 +3,25 @@ class PopupController {
     this.currentTab = 'dashboard';
     this.settings = {};
     this.alerts = [];
+    this.customRules = [];
+    this.datasets = [];
+    this.policyRules = [];
     this.stats = { sitesScanned: 0 };
+    this.ruleCompiler = new CustomRuleCompiler();
+    this.exactMatchIndex = new ExactMatchIndex(new CryptoUtils());
+    this.policyEngine = new PolicyEngine();
+    this.storage = new SecureStorage();
+    this.masking = new MaskingPolicy();
+    this.urlReputation = new UrlReputation(new CryptoUtils());
     this.init();
   }
 
   async init() {
     await this.loadData();
+    this.fillProviderForms();
+    this.renderPwnedPasswordIndex();
+    this.renderReputationSources();
+    this.loadBlocklist();
     this.setupEventListeners();
     this.updateUI();
     this.startPeriodicUpdate();
@@ -16,19 +29,85 @@ class PopupController {
 
   async loadData() {
     try {
-      const result = await chrome.storage.local.get(['settings', 'alerts', 'stats']);
-      this.settings = result.settings || {
-        realTimeScanning: true,
-        darkWebScanning: true,
-        autoBlock: false,
-        notifications: true,
-        alertLevel: 'medium',
-      };
+      await this.storage.init();
+      const result = await this.storage.get([
+        'settings', 'alerts', 'stats', 'customRules', 'fingerprintDatasets', 'policyRules', 'watchedEmails',
+        'breachProvider', 'reputationProvider', 'trustedDomains', 'protectedDomains', 'aiSites',
+        'clipboardRules', 'alertSaveError'
+      ]);
+      this.settings = { ...this.getDefaultSettings(), ...result.settings };
       this.alerts = result.alerts || [];
+      this.alertSaveError = result.alertSaveError || null;
       this.stats = result.stats || { sitesScanned: 0 };
+      this.customRules = result.customRules || [];
+      this.datasets = result.fingerprintDatasets || [];
+      this.policyRules = result.policyRules || [];
+      // Older versions stored plain email strings
+      this.watchList = (result.watchedEmails || [])
+        .map(entry => (typeof entry === 'string' ? { email: entry, status: 'pending', history: [] } : entry));
+      this.breachProvider = result.breachProvider || {};
+      this.reputationProvider = result.reputationProvider || {};
+      this.trustedDomains = result.trustedDomains || [];
+      this.protectedDomains = result.protectedDomains || [];
+      this.aiSites = result.aiSites || DEFAULT_AI_SITES;
+      this.clipboardRules = result.clipboardRules || [];
     } catch (e) {
       console.error('Error loading data:', e);
     }
+    try {
+      const { trustedDomains = [] } = await chrome.storage.managed.get('trustedDomains');
+      this.managedTrustedDomains = trustedDomains.filter(entry => entry && /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(entry.domain));
+    } catch (e) {
+      this.managedTrustedDomains = [];
+    }
+    try {
+      const { aiSites = [] } = await chrome.storage.managed.get('aiSites');
+      this.managedAiSites = aiSites
+        .filter(entry => entry && typeof entry.domain === 'string')
+        .map(entry => ({ domain: entry.domain.toLowerCase(), mode: entry.mode === 'block' ? 'block' : 'warn' }));
+    } catch (e) {
+      this.managedAiSites = [];
+    }
+    try {
+      const { clipboardRules = [] } = await chrome.storage.managed.get('clipboardRules');
+      this.managedClipboardRules = clipboardRules.filter(rule => {
+        try {
+          this.policyEngine.validateClipboardRule(rule);
+          return true;
+        } catch (e) {
+          return false;
+        }
+      });
+    } catch (e) {
+      this.managedClipboardRules = [];
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      realTimeScanning: true,
+      darkWebScanning: true,
+      notifications: true,
+      storeMaskedOnly: false,
+      alertRetentionDays: 30,
+      maxAlerts: 500,
+      dedupeWindowMinutes: 10,
+      breachCheckIntervalHours: 24,
+      breachCheckJitterMinutes: 60,
+      breachCacheTtlHours: 6,
+      breachRequestsPerMinute: 10,
+      pwnedPasswordCheck: true,
+      pwnedPasswordSource: 'range',
+      pwnedPasswordRangeUrl: '',
+      passwordReuseDetection: false,
+      downloadMonitoring: true,
+      blockRiskyDownloads: false,
+      aiPromptGuard: true,
+      regionIndia: true,
+      regionUK: true,
+      regionEU: true,
+      regionInternational: true
+    };
   }
 
   setupEventListeners() {
@@ -51,6 +130,48 @@ class PopupController {
     const breachBtn = document.getElementById('breachCheckBtn');
     if (breachBtn) breachBtn.addEventListener('click', this.checkBreaches.bind(this));
 
+    const saveBreachProviderBtn = document.getElementById('saveBreachProviderBtn');
+    if (saveBreachProviderBtn) saveBreachProviderBtn.addEventListener('click', this.saveBreachProvider.bind(this));
+
+    const addTrustedBtn = document.getElementById('addTrustedDomainBtn');
+    if (addTrustedBtn) addTrustedBtn.addEventListener('click', this.addTrustedDomain.bind(this));
+
+    const addProtectedBtn = document.getElementById('addProtectedDomainBtn');
+    if (addProtectedBtn) addProtectedBtn.addEventListener('click', this.addProtectedDomain.bind(this));
+
+    const addAiSiteBtn = document.getElementById('addAiSiteBtn');
+    if (addAiSiteBtn) addAiSiteBtn.addEventListener('click', this.addAiSite.bind(this));
+
+    const addClipboardRuleBtn = document.getElementById('addClipboardRuleBtn');
+    if (addClipboardRuleBtn) addClipboardRuleBtn.addEventListener('click', this.addClipboardRule.bind(this));
+
+    const blocklistFilter = document.getElementById('blocklistFilter');
+    if (blocklistFilter) blocklistFilter.addEventListener('input', () => this.renderBlocklist());
+
+    const addBlockBtn = document.getElementById('addBlockBtn');
+    if (addBlockBtn) addBlockBtn.addEventListener('click', this.addBlockPattern.bind(this));
+
+    const removeSelectedBtn = document.getElementById('removeSelectedBlocksBtn');
+    if (removeSelectedBtn) removeSelectedBtn.addEventListener('click', this.removeSelectedBlocks.bind(this));
+
+    const importBlocklistBtn = document.getElementById('importBlocklistBtn');
+    if (importBlocklistBtn) importBlocklistBtn.addEventListener('click', this.importBlocklist.bind(this));
+
+    const importFeedBtn = document.getElementById('importReputationFeedBtn');
+    if (importFeedBtn) importFeedBtn.addEventListener('click', this.importReputationFeed.bind(this));
+
+    const saveReputationBtn = document.getElementById('saveReputationProviderBtn');
+    if (saveReputationBtn) saveReputationBtn.addEventListener('click', this.saveReputationProvider.bind(this));
+
+    const importPwnedBtn = document.getElementById('importPwnedPasswordsBtn');
+    if (importPwnedBtn) importPwnedBtn.addEventListener('click', this.importPwnedPasswords.bind(this));
+
+    const clearPwnedBtn = document.getElementById('clearPwnedPasswordsBtn');
+    if (clearPwnedBtn) clearPwnedBtn.addEventListener('click', this.clearPwnedPasswords.bind(this));
+
+    const watchEmailBtn = document.getElementById('watchEmailBtn');
+    if (watchEmailBtn) watchEmailBtn.addEventListener('click', this.watchEmail.bind(this));
+
     document.querySelectorAll('.toggle-switch').forEach(toggle => {
       toggle.addEventListener('click', () => {
         const setting = toggle.dataset.setting;
@@ -59,14 +180,311 @@ class PopupController {
       });
     });
 
-    const alertLevelSelect = document.getElementById('alertLevelSelect');
-    if (alertLevelSelect) {
-      alertLevelSelect.value = this.settings.alertLevel || 'medium';
-      alertLevelSelect.addEventListener('change', e => this.updateSetting('alertLevel', e.target.value));
-    }
+    document.querySelectorAll('[data-number-setting]').forEach(input => {
+      input.addEventListener('change', () => {
+        const value = Math.min(Math.max(Number(input.value) || 0, Number(input.min)), Number(input.max));
+        this.updateSetting(input.dataset.numberSetting, value);
+      });
+    });
+
+    document.querySelectorAll('[data-value-setting]').forEach(input => {
+      input.addEventListener('change', () => this.updateSetting(input.dataset.valueSetting, input.value.trim()));
+    });
 
     const resetBtn = document.getElementById('resetSettingsBtn');
     if (resetBtn) resetBtn.addEventListener('click', this.resetSettings.bind(this));
+
+    const ruleKind = document.getElementById('ruleKind');
+    if (ruleKind) {
+      ruleKind.addEventListener('change', () => this.updateRuleForm());
+      this.updateRuleForm();
+    }
+
+    const addRuleBtn = document.getElementById('addRuleBtn');
+    if (addRuleBtn) addRuleBtn.addEventListener('click', this.addCustomRule.bind(this));
+
+    const importDatasetBtn = document.getElementById('importDatasetBtn');
+    if (importDatasetBtn) importDatasetBtn.addEventListener('click', this.importDataset.bind(this));
+
+    const addPolicyBtn = document.getElementById('addPolicyBtn');
+    if (addPolicyBtn) addPolicyBtn.addEventListener('click', this.addPolicyRule.bind(this));
+
+    const policyTestBtn = document.getElementById('policyTestBtn');
+    if (policyTestBtn) policyTestBtn.addEventListener('click', this.testPolicy.bind(this));
+
+    const storageActions = {
+      unlockStorageBtn: passphrase => this.storage.unlock(passphrase),
+      setPassphraseBtn: passphrase => this.storage.setPassphrase(passphrase),
+      lockStorageBtn: () => this.storage.lock(),
+      removePassphraseBtn: () => this.storage.removePassphrase()
+    };
+    Object.entries(storageActions).forEach(([id, action]) => {
+      const btn = document.getElementById(id);
+      if (btn) btn.addEventListener('click', () => this.runStorageAction(action));
+    });
+  }
+
+  async runStorageAction(action) {
+    const input = document.getElementById('storagePassphrase');
+    const errorEl = document.getElementById('storageError');
+    try {
+      await action(input.value);
+      errorEl.textContent = '';
+      input.value = '';
+    } catch (e) {
+      errorEl.textContent = e.message;
+      return;
+    }
+    await this.loadData();
+    this.fillProviderForms();
+    this.updateUI();
+  }
+
+  fillProviderForms() {
+    const urlInput = document.getElementById('breachProviderUrl');
+    if (!urlInput) return;
+    document.getElementById('breachProviderType').value = this.breachProvider.provider || 'hibp';
+    urlInput.value = this.breachProvider.url || '';
+    document.getElementById('breachProviderKey').value = this.breachProvider.apiKey || '';
+    document.getElementById('reputationProviderUrl').value = this.reputationProvider.url || '';
+    document.getElementById('reputationProviderKey').value = this.reputationProvider.apiKey || '';
+  }
+
+  isHttpUrl(url) {
+    try {
+      return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async saveBreachProvider() {
+    const errorEl = document.getElementById('breachProviderError');
+    const url = document.getElementById('breachProviderUrl').value.trim();
+    if (url && !this.isHttpUrl(url)) {
+      errorEl.textContent = 'Enter an http or https URL, or leave it empty for the default service.';
+      return;
+    }
+    const breachProvider = {
+      provider: document.getElementById('breachProviderType').value,
+      url,
+      apiKey: document.getElementById('breachProviderKey').value.trim()
+    };
+    try {
+      await this.storage.set({ breachProvider });
+    } catch (e) {
+      errorEl.textContent = this.storage.isLocked() ? 'Unlock storage before changing the provider.' : e.message;
+      return;
+    }
+    this.breachProvider = breachProvider;
+    errorEl.textContent = 'Saved.';
+  }
+
+  async saveReputationProvider() {
+    const errorEl = document.getElementById('reputationProviderError');
+    const url = document.getElementById('reputationProviderUrl').value.trim();
+    if (url && !this.isHttpUrl(url)) {
+      errorEl.textContent = 'Enter an http or https URL, or leave it empty to use imported feeds only.';
+      return;
+    }
+    const reputationProvider = { url, apiKey: document.getElementById('reputationProviderKey').value.trim() };
+    try {
+      await this.storage.set({ reputationProvider });
+    } catch (e) {
+      errorEl.textContent = this.storage.isLocked() ? 'Unlock storage before changing the endpoint.' : e.message;
+      return;
+    }
+    this.reputationProvider = reputationProvider;
+    errorEl.textContent = 'Saved.';
+  }
+
+  async loadBlocklist() {
+    const response = await chrome.runtime.sendMessage({ type: 'GET_BLOCKLIST' });
+    this.blocklist = response?.entries || [];
+    this.renderBlocklist();
+  }
+
+  renderBlocklist() {
+    const container = document.getElementById('blocklistList');
+    if (!container || !this.blocklist) return;
+
+    if (this.blocklist.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No blocked sites.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    const sources = new Map();
+    this.blocklist.forEach(entry => sources.set(entry.source, (sources.get(entry.source) || 0) + 1));
+    sources.forEach((count, source) => {
+      if (source === 'Manual') return;
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = source;
+      summary.append(name, document.createTextNode(` - ${count} imported entries`));
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove List';
+      removeBtn.addEventListener('click', () => this.unblock({ source }));
+      item.append(summary, removeBtn);
+      container.appendChild(item);
+    });
+
+    // Imported lists can hold thousands of entries, so only the first matches are listed
+    const filter = document.getElementById('blocklistFilter').value.trim().toLowerCase();
+    const matching = this.blocklist.filter(entry => !filter || entry.pattern.includes(filter));
+    matching.slice(0, 100).forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.className = 'block-select';
+      checkbox.value = entry.ruleId;
+      const pattern = document.createElement('code');
+      pattern.textContent = ` ${entry.pattern}`;
+      const detail = document.createElement('span');
+      detail.textContent = ` (${entry.source}, ${entry.hits} ${entry.hits === 1 ? 'hit' : 'hits'})`;
+      label.append(checkbox, pattern, detail);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Unblock';
+      removeBtn.addEventListener('click', () => this.unblock({ ruleIds: [entry.ruleId] }));
+      item.append(label, removeBtn);
+      container.appendChild(item);
+    });
+    if (matching.length > 100) {
+      const more = document.createElement('p');
+      more.style.cssText = 'opacity:0.6; margin: 0 0 10px;';
+      more.textContent = `${matching.length - 100} more entries. Use the filter to find them.`;
+      container.appendChild(more);
+    }
+  }
+
+  async addBlockPattern() {
+    const input = document.getElementById('blockPattern');
+    const result = await chrome.runtime.sendMessage({ type: 'BLOCK_PATTERNS', patterns: [input.value], source: 'Manual' });
+    const errorEl = document.getElementById('blocklistError');
+    if (result?.error || result?.invalid) {
+      errorEl.textContent = result.error || 'Enter a domain, wildcard, address pattern or Adblock filter.';
+      return;
+    }
+    errorEl.textContent = result.added ? '' : 'Already blocked.';
+    input.value = '';
+    this.loadBlocklist();
+  }
+
+  async importBlocklist() {
+    const errorEl = document.getElementById('blocklistError');
+    const nameInput = document.getElementById('blocklistImportName');
+    const fileInput = document.getElementById('blocklistImportFile');
+    const file = fileInput.files[0];
+    if (!file) {
+      errorEl.textContent = 'Choose a list file';
+      return;
+    }
+
+    errorEl.textContent = 'Importing...';
+    const result = await chrome.runtime.sendMessage({
+      type: 'IMPORT_BLOCKLIST',
+      name: nameInput.value.trim() || file.name,
+      text: await file.text()
+    });
+    if (result?.error) {
+      errorEl.textContent = result.error;
+      return;
+    }
+    errorEl.textContent = `Blocked ${result.added} new entries${result.invalid ? `, skipped ${result.invalid} unsupported lines` : ''}`;
+    nameInput.value = '';
+    fileInput.value = '';
+    this.loadBlocklist();
+  }
+
+  async removeSelectedBlocks() {
+    const ruleIds = Array.from(document.querySelectorAll('.block-select:checked'), checkbox => Number(checkbox.value));
+    if (ruleIds.length) await this.unblock({ ruleIds });
+  }
+
+  async unblock(target) {
+    const result = await chrome.runtime.sendMessage({ type: 'UNBLOCK', ...target });
+    document.getElementById('blocklistError').textContent = result?.error || '';
+    this.loadBlocklist();
+  }
+
+  async renderReputationSources() {
+    const container = document.getElementById('reputationSourceList');
+    if (!container) return;
+    this.urlReputation.db = null;
+    const { sources } = await this.urlReputation.load();
+
+    if (sources.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No feeds imported.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    sources.forEach(source => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = source.name;
+      summary.append(name, document.createTextNode(` - ${source.count} entries, imported ${new Date(source.importedAt).toLocaleDateString()}`));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', async () => {
+        await this.urlReputation.removeSource(source.id);
+        this.renderReputationSources();
+      });
+      item.append(summary, removeBtn);
+      container.appendChild(item);
+    });
+  }
+
+  async importReputationFeed() {
+    const errorEl = document.getElementById('reputationFeedError');
+    const nameInput = document.getElementById('reputationFeedName');
+    const fileInput = document.getElementById('reputationFeedFile');
+    const file = fileInput.files[0];
+    if (!file) {
+      errorEl.textContent = 'Choose a feed file';
+      return;
+    }
+
+    errorEl.textContent = 'Hashing feed entries...';
+    this.urlReputation.db = null;
+    const source = await this.urlReputation.importFeed(nameInput.value.trim() || file.name, await file.text());
+    if (!source) {
+      errorEl.textContent = 'No URLs, domains or hashes found in the file';
+      return;
+    }
+    errorEl.textContent = '';
+    nameInput.value = '';
+    fileInput.value = '';
+    this.renderReputationSources();
+  }
+
+  renderStorageStatus() {
+    const statusEl = document.getElementById('storageStatus');
+    if (!statusEl) return;
+    const { mode, locked } = this.storage.status();
+    const hasPassphrase = mode === 'passphrase';
+    statusEl.textContent = !hasPassphrase
+      ? 'Encrypted with a key generated on this device.'
+      : `Protected by a passphrase. ${locked ? 'Locked.' : 'Unlocked until the browser restarts.'}`;
+
+    const visible = {
+      unlockStorageBtn: hasPassphrase && locked,
+      setPassphraseBtn: !locked,
+      lockStorageBtn: hasPassphrase && !locked,
+      removePassphraseBtn: hasPassphrase && !locked
+    };
+    Object.entries(visible).forEach(([id, show]) => {
+      document.getElementById(id).style.display = show ? '' : 'none';
+    });
+    document.getElementById('setPassphraseBtn').textContent = hasPassphrase ? 'Change Passphrase' : 'Set Passphrase';
   }
 
   switchTab(tabName) {
@@ -88,7 +506,7 @@ class PopupController {
     }
 
     const alertCount = document.getElementById('alertCount');
-    if (alertCount) alertCount.textContent = this.alerts.length;
+    if (alertCount) alertCount.textContent = this.alerts.filter(alert => alert.status !== 'resolved').length;
 
     const sitesScanned = document.getElementById('sitesScanned');
     if (sitesScanned) sitesScanned.textContent = this.stats.sitesScanned;
@@ -101,30 +519,694 @@ class PopupController {
         toggle.classList.remove('active');
       }
     });
+    document.querySelectorAll('[data-number-setting]').forEach(input => {
+      if (document.activeElement !== input) input.value = this.settings[input.dataset.numberSetting];
+    });
+    document.querySelectorAll('[data-value-setting]').forEach(input => {
+      if (document.activeElement !== input) input.value = this.settings[input.dataset.valueSetting];
+    });
+
+    this.renderCustomRules();
+    this.renderTrustedDomains();
+    this.renderProtectedDomains();
+    this.renderAiSites();
+    this.renderDatasets();
+    this.renderPolicyRules();
+    this.renderClipboardRules();
+    this.renderStorageStatus();
+    this.renderWatchList();
+  }
+
+  updateRuleForm() {
+    const kind = document.getElementById('ruleKind').value;
+    document.getElementById('rulePattern').style.display = kind === 'keywords' ? 'none' : '';
+    document.getElementById('ruleKeywords').style.display = kind === 'regex' ? 'none' : '';
+    document.getElementById('ruleDistance').style.display = kind === 'proximity' ? '' : 'none';
+  }
+
+  renderCustomRules() {
+    const container = document.getElementById('customRulesList');
+    if (!container) return;
+
+    if (this.customRules.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No custom rules yet.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    this.customRules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = `rule-item${rule.enabled === false ? ' disabled' : ''}`;
+      const summary = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = `${rule.name} (${rule.severity})`;
+      const detail = document.createElement('code');
+      detail.textContent = this.describeRule(rule);
+      summary.append(name, document.createElement('br'), detail);
+
+      const toggleBtn = document.createElement('button');
+      toggleBtn.textContent = rule.enabled === false ? 'Enable' : 'Disable';
+      toggleBtn.addEventListener('click', () => this.toggleCustomRule(rule.id));
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => this.removeCustomRule(rule.id));
+
+      const actions = document.createElement('div');
+      actions.append(toggleBtn, removeBtn);
+      item.append(summary, actions);
+      container.appendChild(item);
+    });
+  }
+
+  describeRule(rule) {
+    switch (rule.kind) {
+      case 'keywords': return `keywords: ${rule.keywords.join(', ')}`;
+      case 'proximity': return `/${rule.pattern}/ within ${rule.distance} chars of ${rule.keywords.join(', ')}`;
+      default: return `/${rule.pattern}/`;
+    }
+  }
+
+  async addCustomRule() {
+    const errorEl = document.getElementById('ruleError');
+    const kind = document.getElementById('ruleKind').value;
+    const rule = {
+      id: crypto.randomUUID(),
+      name: document.getElementById('ruleName').value.trim(),
+      kind,
+      severity: document.getElementById('ruleSeverity').value,
+      enabled: true
+    };
+    if (kind !== 'keywords') rule.pattern = document.getElementById('rulePattern').value;
+    if (kind !== 'regex') rule.keywords = this.ruleCompiler.normalizeKeywords(document.getElementById('ruleKeywords').value);
+    if (kind === 'proximity') rule.distance = Number(document.getElementById('ruleDistance').value);
+
+    try {
+      this.ruleCompiler.compile(rule);
+    } catch (e) {
+      errorEl.textContent = e.message;
+      return;
+    }
+    errorEl.textContent = '';
+
+    this.customRules.push(rule);
+    await this.saveCustomRules();
+    ['ruleName', 'rulePattern', 'ruleKeywords'].forEach(id => { document.getElementById(id).value = ''; });
+  }
+
+  async toggleCustomRule(id) {
+    const rule = this.customRules.find(r => r.id === id);
+    if (!rule) return;
+    rule.enabled = rule.enabled === false;
+    await this.saveCustomRules();
+  }
+
+  async removeCustomRule(id) {
+    this.customRules = this.customRules.filter(r => r.id !== id);
+    await this.saveCustomRules();
+  }
+
+  async saveCustomRules() {
+    try {
+      await this.storage.set({ customRules: this.customRules });
+    } catch (e) {
+      document.getElementById('ruleError').textContent = `${e.message}. Unlock it under Storage Encryption.`;
+    }
+    this.renderCustomRules();
+  }
+
+  renderTrustedDomains() {
+    const container = document.getElementById('trustedDomainList');
+    if (!container) return;
+
+    if (this.trustedDomains.length === 0 && this.managedTrustedDomains.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No trusted domains yet.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    const entries = [
+      ...this.managedTrustedDomains.map(entry => ({ ...entry, managed: true })),
+      ...this.trustedDomains
+    ];
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const domain = document.createElement('strong');
+      domain.textContent = entry.domain;
+      summary.append(domain, document.createTextNode(entry.brand ? ` - ${entry.brand}` : ''));
+      if (Array.isArray(entry.relatedDomains) && entry.relatedDomains.length) {
+        const related = document.createElement('code');
+        related.textContent = `also ${entry.relatedDomains.join(', ')}`;
+        summary.append(document.createElement('br'), related);
+      }
+      item.appendChild(summary);
+
+      // Domains set by enterprise policy can only be changed by the administrator
+      if (entry.managed) {
+        const note = document.createElement('small');
+        note.textContent = 'Set by your administrator';
+        note.style.opacity = '0.7';
+        item.appendChild(note);
+      } else {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => this.removeTrustedDomain(entry.domain));
+        item.appendChild(removeBtn);
+      }
+      container.appendChild(item);
+    });
+  }
+
+  async addTrustedDomain() {
+    const errorEl = document.getElementById('trustedDomainError');
+    const domainInput = document.getElementById('trustedDomain');
+    const brandInput = document.getElementById('trustedBrand');
+    const relatedInput = document.getElementById('trustedRelated');
+    const domain = this.normalizeDomain(domainInput.value);
+    if (!domain) {
+      errorEl.textContent = 'Enter a domain such as example.com';
+      return;
+    }
+    const related = relatedInput.value.split(',').map(value => value.trim()).filter(Boolean);
+    const relatedDomains = related.map(value => this.normalizeDomain(value));
+    if (relatedDomains.includes(null)) {
+      errorEl.textContent = `Not a domain: ${related[relatedDomains.indexOf(null)]}`;
+      return;
+    }
+    if ([...this.managedTrustedDomains, ...this.trustedDomains].some(entry => entry.domain === domain)) {
+      errorEl.textContent = `${domain} is already trusted`;
+      return;
+    }
+
+    this.trustedDomains.push({ domain, brand: brandInput.value.trim(), relatedDomains });
+    if (await this.saveTrustedDomains()) {
+      domainInput.value = '';
+      brandInput.value = '';
+      relatedInput.value = '';
+    }
+  }
+
+  // The URL parser lowercases the host and converts international names to punycode
+  normalizeDomain(value) {
+    let domain;
+    try {
+      domain = new URL(`http://${value.trim().replace(/^[a-z]+:\/\//i, '')}`).hostname.replace(/^www\./, '');
+    } catch (e) {
+      return null;
+    }
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain) ? domain : null;
+  }
+
+  async removeTrustedDomain(domain) {
+    this.trustedDomains = this.trustedDomains.filter(entry => entry.domain !== domain);
+    await this.saveTrustedDomains();
+  }
 
-    const alertLevelSelect = document.getElementById('alertLevelSelect');
-    if (alertLevelSelect) alertLevelSelect.value = this.settings.alertLevel || 'medium';
+  async saveTrustedDomains() {
+    const errorEl = document.getElementById('trustedDomainError');
+    try {
+      await this.storage.set({ trustedDomains: this.trustedDomains });
+      errorEl.textContent = '';
+      return true;
+    } catch (e) {
+      errorEl.textContent = `${e.message}. Unlock it under Storage Encryption.`;
+      return false;
+    } finally {
+      this.renderTrustedDomains();
+    }
+  }
+
+  renderProtectedDomains() {
+    const container = document.getElementById('protectedDomainList');
+    if (!container) return;
+
+    if (this.protectedDomains.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No protected domains yet.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    this.protectedDomains.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const domain = document.createElement('strong');
+      domain.textContent = entry.domain;
+      const status = document.createElement('small');
+      status.style.opacity = '0.7';
+      status.textContent = entry.hash
+        ? `Password learned ${new Date(entry.updatedAt).toLocaleDateString()}`
+        : 'Learned at your next sign-in';
+      summary.append(domain, document.createElement('br'), status);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => this.removeProtectedDomain(entry.domain));
+      item.append(summary, removeBtn);
+      container.appendChild(item);
+    });
+  }
+
+  async addProtectedDomain() {
+    const errorEl = document.getElementById('protectedDomainError');
+    const domainInput = document.getElementById('protectedDomain');
+    const domain = this.normalizeDomain(domainInput.value);
+    if (!domain) {
+      errorEl.textContent = 'Enter a domain such as sso.example.com';
+      return;
+    }
+    if (await this.saveProtectedDomains(entries => (entries.some(entry => entry.domain === domain)
+      ? entries
+      : [...entries, { domain, addedAt: Date.now() }]))) {
+      domainInput.value = '';
+    }
+  }
+
+  removeProtectedDomain(domain) {
+    return this.saveProtectedDomains(entries => entries.filter(entry => entry.domain !== domain));
+  }
+
+  // Re-read first: the background stores password hashes in the same list after each sign-in
+  async saveProtectedDomains(change) {
+    const errorEl = document.getElementById('protectedDomainError');
+    try {
+      if (this.storage.isLocked()) throw new Error('Secure storage is locked');
+      const { protectedDomains = [] } = await this.storage.get(['protectedDomains']);
+      this.protectedDomains = change(protectedDomains);
+      await this.storage.set({ protectedDomains: this.protectedDomains });
+      errorEl.textContent = '';
+      return true;
+    } catch (e) {
+      errorEl.textContent = `${e.message}. Unlock it under Storage Encryption.`;
+      return false;
+    } finally {
+      this.renderProtectedDomains();
+    }
+  }
+
+  renderAiSites() {
+    const container = document.getElementById('aiSiteList');
+    if (!container) return;
+
+    const managed = new Set(this.managedAiSites.map(entry => entry.domain));
+    const entries = [
+      ...this.managedAiSites.map(entry => ({ ...entry, managed: true })),
+      ...this.aiSites.filter(entry => !managed.has(entry.domain))
+    ];
+    if (entries.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No AI sites. Prompts are not checked anywhere.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    entries.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const domain = document.createElement('strong');
+      domain.textContent = entry.domain;
+      item.appendChild(domain);
+
+      // Sites set by enterprise policy can only be changed by the administrator
+      if (entry.managed) {
+        const note = document.createElement('small');
+        note.textContent = `${entry.mode === 'block' ? 'Block' : 'Warn'}, set by your administrator`;
+        note.style.opacity = '0.7';
+        item.appendChild(note);
+      } else {
+        const mode = document.createElement('select');
+        mode.innerHTML = '<option value="warn">Warn</option><option value="block">Block</option>';
+        mode.value = entry.mode;
+        mode.addEventListener('change', () => this.saveAiSites(this.aiSites.map(site =>
+          (site.domain === entry.domain ? { ...site, mode: mode.value } : site))));
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => this.saveAiSites(this.aiSites.filter(site => site.domain !== entry.domain)));
+        const actions = document.createElement('div');
+        actions.append(mode, removeBtn);
+        item.appendChild(actions);
+      }
+      container.appendChild(item);
+    });
+  }
+
+  async addAiSite() {
+    const errorEl = document.getElementById('aiSiteError');
+    const domainInput = document.getElementById('aiSiteDomain');
+    const domain = this.normalizeDomain(domainInput.value);
+    if (!domain) {
+      errorEl.textContent = 'Enter a domain such as chat.example.ai';
+      return;
+    }
+    if ([...this.managedAiSites, ...this.aiSites].some(entry => entry.domain === domain)) {
+      errorEl.textContent = `${domain} is already listed`;
+      return;
+    }
+    if (await this.saveAiSites([...this.aiSites, { domain, mode: document.getElementById('aiSiteMode').value }])) {
+      domainInput.value = '';
+    }
+  }
+
+  // The whole list is stored, defaults included, so a removed default stays removed
+  async saveAiSites(aiSites) {
+    const errorEl = document.getElementById('aiSiteError');
+    try {
+      await this.storage.set({ aiSites });
+      this.aiSites = aiSites;
+      errorEl.textContent = '';
+      return true;
+    } catch (e) {
+      errorEl.textContent = e.message;
+      return false;
+    } finally {
+      this.renderAiSites();
+    }
+  }
+
+  renderDatasets() {
+    const container = document.getElementById('datasetList');
+    if (!container) return;
+
+    if (this.datasets.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No datasets imported.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    this.datasets.forEach(dataset => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = dataset.name;
+      summary.append(name, document.createTextNode(` - ${dataset.count} values, imported ${new Date(dataset.createdAt).toLocaleDateString()}`));
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => this.removeDataset(dataset.id));
+      item.append(summary, removeBtn);
+      container.appendChild(item);
+    });
+  }
+
+  async importDataset() {
+    const errorEl = document.getElementById('datasetError');
+    const nameInput = document.getElementById('datasetName');
+    const fileInput = document.getElementById('datasetFile');
+    const valuesInput = document.getElementById('datasetValues');
+    const name = nameInput.value.trim();
+    const file = fileInput.files[0];
+
+    if (!name) {
+      errorEl.textContent = 'Dataset needs a name';
+      return;
+    }
+
+    const values = file
+      ? this.exactMatchIndex.parseValues(await file.text(), {
+        format: file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'list',
+        hasHeader: document.getElementById('datasetHasHeader').checked
+      })
+      : this.exactMatchIndex.parseValues(valuesInput.value);
+    if (!values.length) {
+      errorEl.textContent = 'No values to import';
+      return;
+    }
+
+    errorEl.textContent = 'Hashing values...';
+    const dataset = await this.exactMatchIndex.buildDataset(name, values, this.datasets.length ? { salt: this.datasets[0].salt } : {});
+    this.datasets.push(dataset);
+    await chrome.storage.local.set({ fingerprintDatasets: this.datasets });
+    errorEl.textContent = dataset.skipped ? `Skipped ${dataset.skipped} values that were too short or too long` : '';
+
+    nameInput.value = '';
+    fileInput.value = '';
+    valuesInput.value = '';
+    this.renderDatasets();
+  }
+
+  async removeDataset(id) {
+    this.datasets = this.datasets.filter(d => d.id !== id);
+    await chrome.storage.local.set({ fingerprintDatasets: this.datasets });
+    this.renderDatasets();
+  }
+
+  renderPolicyRules() {
+    const container = document.getElementById('policyRulesList');
+    if (!container) return;
+
+    if (this.policyRules.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No policy rules. Every finding will trigger a warning.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    this.policyRules.forEach((rule, index) => {
+      const item = document.createElement('div');
+      item.className = `rule-item${rule.enabled === false ? ' disabled' : ''}`;
+      const summary = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = `${index + 1}. ${rule.name} → ${rule.action}`;
+      const detail = document.createElement('code');
+      detail.textContent = this.describePolicyRule(rule);
+      summary.append(name, document.createElement('br'), detail);
+
+      const actions = document.createElement('div');
+      [
+        ['↑', () => this.movePolicyRule(index, -1)],
+        ['↓', () => this.movePolicyRule(index, 1)],
+        ['Remove', () => this.removePolicyRule(rule.id)]
+      ].forEach(([label, handler]) => {
+        const btn = document.createElement('button');
+        btn.textContent = label;
+        btn.addEventListener('click', handler);
+        actions.appendChild(btn);
+      });
+      item.append(summary, actions);
+      container.appendChild(item);
+    });
+  }
+
+  describePolicyRule(rule) {
+    const parts = [
+      `to ${rule.domains?.length ? rule.domains.join(', ') : 'any site'}`,
+      `types ${rule.dataTypes?.length ? rule.dataTypes.join(', ') : 'any'}`,
+      `severity ${rule.minSeverity || 'low'}+`,
+      `via ${rule.channels?.length ? rule.channels.join(', ') : 'any channel'}`
+    ];
+    return parts.join(' · ');
+  }
+
+  async addPolicyRule() {
+    const errorEl = document.getElementById('policyError');
+    const splitList = value => value.split(',').map(item => item.trim()).filter(Boolean);
+    const rule = {
+      id: crypto.randomUUID(),
+      name: document.getElementById('policyName').value.trim(),
+      domains: splitList(document.getElementById('policyDomains').value),
+      dataTypes: splitList(document.getElementById('policyDataTypes').value),
+      minSeverity: document.getElementById('policyMinSeverity').value,
+      channels: Array.from(document.querySelectorAll('input[name=policyChannel]:checked')).map(box => box.value),
+      action: document.getElementById('policyAction').value,
+      enabled: true
+    };
+
+    try {
+      this.policyEngine.validateRule(rule);
+    } catch (e) {
+      errorEl.textContent = e.message;
+      return;
+    }
+    errorEl.textContent = '';
+
+    this.policyRules.unshift(rule);
+    await this.savePolicyRules();
+    ['policyName', 'policyDomains', 'policyDataTypes'].forEach(id => { document.getElementById(id).value = ''; });
+    document.querySelectorAll('input[name=policyChannel]').forEach(box => { box.checked = false; });
+  }
+
+  async movePolicyRule(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= this.policyRules.length) return;
+    [this.policyRules[index], this.policyRules[target]] = [this.policyRules[target], this.policyRules[index]];
+    await this.savePolicyRules();
+  }
+
+  async removePolicyRule(id) {
+    this.policyRules = this.policyRules.filter(rule => rule.id !== id);
+    await this.savePolicyRules();
+  }
+
+  async savePolicyRules() {
+    await chrome.storage.local.set({ policyRules: this.policyRules });
+    this.renderPolicyRules();
+  }
+
+  renderClipboardRules() {
+    const container = document.getElementById('clipboardRulesList');
+    if (!container) return;
+
+    const rules = [...this.managedClipboardRules.map(rule => ({ ...rule, managed: true })), ...this.clipboardRules];
+    if (rules.length === 0) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No clipboard rules. Copied text can be pasted anywhere.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    rules.forEach(rule => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const name = document.createElement('strong');
+      name.textContent = `${rule.name} → ${rule.action}`;
+      const detail = document.createElement('code');
+      detail.textContent = `from ${rule.sources.join(', ')} · allowed ${rule.allowedDestinations?.length ? rule.allowedDestinations.join(', ') : 'nowhere else'}`;
+      summary.append(name, document.createElement('br'), detail);
+      item.appendChild(summary);
+
+      // Rules set by enterprise policy can only be changed by the administrator
+      if (rule.managed) {
+        const note = document.createElement('small');
+        note.textContent = 'Set by your administrator';
+        note.style.opacity = '0.7';
+        item.appendChild(note);
+      } else {
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.addEventListener('click', () => this.removeClipboardRule(rule.id));
+        item.appendChild(removeBtn);
+      }
+      container.appendChild(item);
+    });
+  }
+
+  async addClipboardRule() {
+    const errorEl = document.getElementById('clipboardRuleError');
+    const splitList = value => value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+    const rule = {
+      id: crypto.randomUUID(),
+      name: document.getElementById('clipboardRuleName').value.trim(),
+      sources: splitList(document.getElementById('clipboardRuleSources').value),
+      allowedDestinations: splitList(document.getElementById('clipboardRuleDestinations').value),
+      action: document.getElementById('clipboardRuleAction').value,
+      enabled: true
+    };
+
+    try {
+      this.policyEngine.validateClipboardRule(rule);
+    } catch (e) {
+      errorEl.textContent = e.message;
+      return;
+    }
+    errorEl.textContent = '';
+
+    this.clipboardRules.push(rule);
+    await this.saveClipboardRules();
+    ['clipboardRuleName', 'clipboardRuleSources', 'clipboardRuleDestinations'].forEach(id => { document.getElementById(id).value = ''; });
+  }
+
+  async removeClipboardRule(id) {
+    this.clipboardRules = this.clipboardRules.filter(rule => rule.id !== id);
+    await this.saveClipboardRules();
+  }
+
+  async saveClipboardRules() {
+    await chrome.storage.local.set({ clipboardRules: this.clipboardRules });
+    this.renderClipboardRules();
+  }
+
+  async testPolicy() {
+    const resultEl = document.getElementById('policyTestResult');
+    const url = document.getElementById('policyTestUrl').value.trim();
+    try {
+      new URL(url);
+    } catch (e) {
+      resultEl.textContent = 'Enter a full URL, e.g. https://example.com/upload';
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'EVALUATE_POLICY',
+        url,
+        channel: document.getElementById('policyTestChannel').value,
+        text: document.getElementById('policyTestText').value
+      });
+      const { decision } = response;
+      if (!decision.findings.length) {
+        resultEl.textContent = 'No sensitive data found: allow';
+        return;
+      }
+      const findings = decision.findings
+        .map(finding => `${finding.type} (${finding.severity}) → ${finding.action}${finding.rule ? ` by "${finding.rule}"` : ' by default'}`)
+        .join('; ');
+      resultEl.textContent = `Decision: ${decision.action.toUpperCase()}. ${findings}`;
+    } catch (e) {
+      console.error('Policy evaluation failed:', e);
+      resultEl.textContent = 'Policy evaluation failed.';
+    }
   }
 
   renderAlerts() {
     const container = document.getElementById('alertsList');
     if (!container) return;
 
+    if (this.storage.isLocked()) {
+      container.innerHTML = '<div class="empty-state"><div class="empty-icon">🔐</div>Storage is locked. Unlock it in Settings to see alerts.</div>';
+      return;
+    }
+    // Shown above the list: what is listed here is the last history that could be saved
+    const saveWarning = this.alertSaveError
+      ? `<div class="alert-item snoozed">Alert history has not been saved since ${new Date(this.alertSaveError.since).toLocaleString()}. New alerts are lost when the browser restarts. (${this.escapeHtml(this.alertSaveError.message)})</div>`
+      : '';
     if (this.alerts.length === 0) {
-      container.innerHTML = '<div class="empty-state"><div class="empty-icon">🔒</div>No alerts</div>';
+      container.innerHTML = `${saveWarning}<div class="empty-state"><div class="empty-icon">🔒</div>No alerts</div>`;
       return;
     }
     
-    container.innerHTML = this.alerts.map(alert => `
-      <div class="alert-item">
-        <strong>${this.formatAlertType(alert.type)}</strong> - ${this.formatTime(alert.timestamp)}<br />
-        ${this.formatAlertMessage(alert)}
-        <button class="dismissBtn" data-id="${alert.id}">Dismiss</button>
-      </div>`).join('');
+    // File names, header names, dataset and breach names come from pages, servers and imports, so
+    // every field is escaped; the format* helpers return plain text
+    const sorted = [...this.alerts].sort((a, b) => (b.lastSeen || b.timestamp) - (a.lastSeen || a.timestamp));
+    container.innerHTML = saveWarning + sorted.map(alert => {
+      const id = this.escapeHtml(alert.id);
+      return `
+      <div class="alert-item ${this.escapeHtml(alert.status || 'open')}">
+        <strong>${this.escapeHtml(this.formatAlertType(alert.type))}${alert.occurrences > 1 ? ` ×${Number(alert.occurrences)}` : ''}</strong>
+        ${this.formatTime(alert.lastSeen || alert.timestamp)} · ${this.escapeHtml(this.formatAlertStatus(alert))}<br />
+        ${this.escapeHtml(this.formatAlertMessage(alert))}
+        <div class="alert-actions">
+          ${alert.status !== 'acknowledged' && alert.status !== 'resolved' ? `<button data-id="${id}" data-status="acknowledged">Acknowledge</button>` : ''}
+          ${alert.status !== 'resolved' ? `<button data-id="${id}" data-status="snoozed">Snooze 1h</button>` : ''}
+          ${alert.status !== 'resolved' ? `<button data-id="${id}" data-status="resolved">Resolve</button>` : ''}
+          <button class="dismissBtn" data-id="${id}">Dismiss</button>
+        </div>
+      </div>`;
+    }).join('');
     
     container.querySelectorAll('.dismissBtn').forEach(btn =>
       btn.addEventListener('click', e => this.dismissAlert(e.target.dataset.id))
     );
+    container.querySelectorAll('[data-status]').forEach(btn =>
+      btn.addEventListener('click', e => this.setAlertStatus(e.target.dataset.id, e.target.dataset.status))
+    );
+  }
+
+  formatAlertStatus(alert) {
+    if (alert.status === 'snoozed' && alert.snoozedUntil > Date.now()) {
+      return `snoozed until ${new Date(alert.snoozedUntil).toLocaleTimeString()}`;
+    }
+    return alert.status === 'snoozed' ? 'open' : (alert.status || 'open');
+  }
+
+  async setAlertStatus(id, status) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'SET_ALERT_STATUS', alertId: id, status, snoozeMinutes: 60 });
+    } catch (e) {
+      console.warn('Alert status message failed:', e);
+    }
+    await this.loadData();
+    this.renderAlerts();
+    this.updateUI();
   }
 
   formatAlertType(type) {
@@ -139,27 +1221,63 @@ class PopupController {
     return `${Math.floor(diff / 86400)} days ago`;
   }
 
+  escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => ({
+      '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+  }
+
   formatAlertMessage(alert) {
+    const secret = alert.data?.find(item => item.provider);
     switch (alert.type) {
       case 'data_transmission':
-        return `Sensitive data detected on ${new URL(alert.url).hostname}`;
+        if (alert.data?.some(item => item.type === 'unscanned_file')) {
+          return `${alert.file.name} uploaded to ${new URL(alert.url).hostname} without being scanned`;
+        }
+        if (alert.data?.every(item => item.type === 'unscanned_text')) {
+          return `Text sent to ${new URL(alert.url).hostname} was too long to check fully`;
+        }
+        if (alert.file) return `${secret ? secret.provider : 'Sensitive data'} in ${alert.file.name} uploaded to ${new URL(alert.url).hostname}`;
+        return secret
+          ? `${secret.provider} sent to ${new URL(alert.url).hostname}`
+          : `Sensitive data detected on ${new URL(alert.url).hostname}`;
       case 'header_leak':
-        return `Potential header leak on ${new URL(alert.url).hostname}`;
+        return secret
+          ? `${secret.provider} sent in ${alert.header} header to ${new URL(alert.url).hostname}`
+          : `Potential header leak on ${new URL(alert.url).hostname}`;
       case 'breach_detected':
-        return `Email found in ${alert.count} breach(es).`;
+        return alert.breaches
+          ? `Email found in ${alert.count} new breach(es): ${alert.breaches.join(', ')}`
+          : `Email found in ${alert.count} breach(es).`;
+      case 'data_redacted':
+        return `${alert.redactions.length} value(s) redacted for ${new URL(alert.url).hostname}`;
+      case 'exact_match':
+        return `Record from ${alert.datasets.join(', ')}${alert.file ? ` in ${alert.file.name}` : ''} detected on ${new URL(alert.url).hostname}`;
+      case 'phishing_risk':
+        return `Possible phishing page on ${new URL(alert.url).hostname} (risk ${alert.score}/100)`;
+      case 'lookalike_domain':
+        return `${alert.displayHost} looks like ${alert.trustedDomain}`;
+      case 'download_risk':
+        return `Risky download ${alert.file.name} from ${new URL(alert.url).hostname}`;
+      case 'password_reuse':
+        return `Password for ${alert.protectedDomain} reused on ${new URL(alert.url).hostname}`;
+      case 'ai_prompt':
+        return `Sensitive data in a prompt to ${new URL(alert.url).hostname}`;
+      case 'clipboard_policy':
+        return `Text copied from ${new URL(alert.sourceOrigin).hostname} ${alert.action === 'redact' ? 'redacted on' : 'blocked from'} ${new URL(alert.url).hostname}`;
       default:
         return alert.message || 'Security alert detected.';
     }
   }
 
+  // The service worker owns the alert history, so changes go through it instead of storage
   async dismissAlert(id) {
-    this.alerts = this.alerts.filter(a => a.id != id);
-    await chrome.storage.local.set({ alerts: this.alerts });
     try {
       await chrome.runtime.sendMessage({ type: 'CLEAR_ALERT', alertId: id });
     } catch (e) {
       console.warn('Clear alert message failed:', e);
     }
+    await this.loadData();
     this.renderAlerts();
     this.updateUI();
   }
@@ -184,21 +1302,22 @@ class PopupController {
   }
 
   async clearAlerts() {
-    this.alerts = [];
-    await chrome.storage.local.set({ alerts: [] });
     try {
-      await chrome.runtime.sendMessage({ type: 'CLEAR_ALL_ALERTS' });
+      const response = await chrome.runtime.sendMessage({ type: 'CLEAR_ALL_ALERTS' });
+      if (response?.error) alert(response.error);
     } catch (e) {
       console.warn('Clear all alerts message failed:', e);
     }
+    await this.loadData();
     this.renderAlerts();
     this.updateUI();
   }
 
   async exportData() {
     try {
+      // Exports are often shared with IT, so they never carry raw detected values
       const data = JSON.stringify({
-        alerts: this.alerts,
+        alerts: this.alerts.map(alert => this.masking.maskAlert(alert)),
         settings: this.settings,
         exportedAt: new Date().toISOString()
       }, null, 2);
@@ -230,7 +1349,10 @@ class PopupController {
       const response = await chrome.runtime.sendMessage({ type: 'CHECK_BREACH', email });
       const breachResult = document.getElementById('breachResult');
       if (response?.error) {
-        breachResult.textContent = 'Error checking breach.';
+        breachResult.textContent = this.describeBreachError(response);
+        breachResult.style.color = '#f44336';
+      } else if (response?.checked === false) {
+        breachResult.textContent = 'Breach checks are turned off in Settings.';
         breachResult.style.color = '#f44336';
       } else if (response?.breached) {
         const names = response.breaches.map(b => b.Name).join(', ');
@@ -246,6 +1368,139 @@ class PopupController {
     }
   }
 
+  renderWatchList() {
+    const container = document.getElementById('watchList');
+    if (!container) return;
+
+    if (this.storage.isLocked()) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">Unlock storage in Settings to see watched emails.</p>';
+      return;
+    }
+    if (!this.watchList?.length) {
+      container.innerHTML = '<p style="opacity:0.6; margin: 0 0 10px;">No watched emails yet.</p>';
+      return;
+    }
+
+    container.innerHTML = '';
+    this.watchList.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = 'rule-item';
+      const summary = document.createElement('div');
+      const email = document.createElement('strong');
+      email.textContent = entry.email;
+      const status = document.createElement('span');
+      status.textContent = this.describeWatchStatus(entry);
+      summary.append(email, document.createElement('br'), status);
+
+      if (entry.history.length) {
+        const history = document.createElement('ul');
+        history.className = 'watch-history';
+        entry.history.slice(0, 5).forEach(check => {
+          const line = document.createElement('li');
+          const when = new Date(check.checkedAt).toLocaleString();
+          if (check.error) {
+            line.textContent = `${when}: ${check.error}`;
+          } else if (check.newBreaches.length) {
+            line.textContent = `${when}: new breaches ${check.newBreaches.join(', ')}`;
+          } else {
+            line.textContent = `${when}: ${check.breachCount} breach(es), nothing new`;
+          }
+          history.appendChild(line);
+        });
+        summary.appendChild(history);
+      }
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.addEventListener('click', () => this.unwatchEmail(entry.email));
+      item.append(summary, removeBtn);
+      container.appendChild(item);
+    });
+  }
+
+  describeBreachError(response) {
+    switch (response.error) {
+      case 'unauthorized': return `${response.message}. Check the API key under Settings > Breach Provider.`;
+      case 'rate_limited': return response.retryAfter
+        ? `${response.message}. Try again in ${response.retryAfter} seconds.`
+        : `${response.message}. Try again shortly.`;
+      case 'offline': return `${response.message}. Check your connection or the provider URL.`;
+      default: return response.message || 'Error checking breach.';
+    }
+  }
+
+  describeWatchStatus(entry) {
+    const checked = entry.lastChecked ? `, checked ${new Date(entry.lastChecked).toLocaleString()}` : '';
+    switch (entry.status) {
+      case 'breached': return `Found in ${entry.knownBreaches.length} breach(es)${checked}`;
+      case 'clean': return `No breaches found${checked}`;
+      case 'error': return `Last check failed: ${entry.history[0]?.error || 'unknown error'}${checked}`;
+      default: return 'Not checked yet';
+    }
+  }
+
+  async watchEmail() {
+    const input = document.getElementById('watchEmail');
+    const errorEl = document.getElementById('watchError');
+    const response = await chrome.runtime.sendMessage({ type: 'WATCH_EMAIL', email: input.value });
+    if (response?.error) {
+      errorEl.textContent = response.error;
+      return;
+    }
+    errorEl.textContent = '';
+    input.value = '';
+    await this.loadData();
+    this.updateUI();
+  }
+
+  async unwatchEmail(email) {
+    const response = await chrome.runtime.sendMessage({ type: 'UNWATCH_EMAIL', email });
+    document.getElementById('watchError').textContent = response?.error || '';
+    await this.loadData();
+    this.updateUI();
+  }
+
+  async importPwnedPasswords() {
+    const errorEl = document.getElementById('pwnedPasswordError');
+    const fileInput = document.getElementById('pwnedPasswordFile');
+    if (!fileInput.files.length) {
+      errorEl.textContent = 'Choose one or more hash files';
+      return;
+    }
+
+    errorEl.textContent = 'Reading hashes...';
+    const service = new PwnedPasswordService();
+    const { pwnedPasswordIndex = {} } = await chrome.storage.local.get('pwnedPasswordIndex');
+    let imported = 0;
+    for (const file of fileInput.files) {
+      const { index, count } = service.parseOfflineFile(await file.text(), file.name);
+      service.mergeIndex(pwnedPasswordIndex, index);
+      imported += count;
+    }
+    if (!imported) {
+      errorEl.textContent = 'No HASH:COUNT or SUFFIX:COUNT lines found';
+      return;
+    }
+    await chrome.storage.local.set({ pwnedPasswordIndex });
+    errorEl.textContent = `Imported ${imported} hashes`;
+    fileInput.value = '';
+    this.renderPwnedPasswordIndex();
+  }
+
+  async clearPwnedPasswords() {
+    await chrome.storage.local.remove('pwnedPasswordIndex');
+    document.getElementById('pwnedPasswordError').textContent = '';
+    this.renderPwnedPasswordIndex();
+  }
+
+  async renderPwnedPasswordIndex() {
+    const statusEl = document.getElementById('pwnedPasswordIndexStatus');
+    if (!statusEl) return;
+    const { pwnedPasswordIndex = {} } = await chrome.storage.local.get('pwnedPasswordIndex');
+    const count = Object.values(pwnedPasswordIndex).reduce((sum, suffixes) => sum + Object.keys(suffixes).length, 0);
+    statusEl.textContent = count ? `${count} imported hashes available offline.` : 'No hash file imported.';
+  }
+
   async updateSetting(key, value) {
     this.settings[key] = value;
     await chrome.storage.local.set({ settings: this.settings });
@@ -258,13 +1513,7 @@ class PopupController {
   }
 
   async resetSettings() {
-    this.settings = {
-      realTimeScanning: true,
-      darkWebScanning: true,
-      autoBlock: false,
-      notifications: true,
-      alertLevel: 'medium'
-    };
+    this.settings = this.getDefaultSettings();
     await chrome.storage.local.set({ settings: this.settings });
     try {
       await chrome.runtime.sendMessage({ type: 'UPDATE_SETTINGS', settings: this.settings });
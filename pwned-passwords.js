@@ -0,0 +1,81 @@
+// k-anonymity lookups against Pwned Passwords: callers send the first five hex characters of a
+// password's SHA-1 and match the remaining 35 themselves, so neither the password nor its full
+// hash is ever sent anywhere
+class PwnedPasswordService {
+  constructor() {
+    this.offlineIndex = null;
+    this.configure();
+  }
+
+  configure(settings = {}) {
+    this.enabled = settings.pwnedPasswordCheck !== false;
+    this.source = settings.pwnedPasswordSource || 'range';
+    this.rangeUrl = settings.pwnedPasswordRangeUrl || PwnedPasswordService.defaultRangeUrl;
+  }
+
+  // Resolves to { SUFFIX: count } for every known hash that starts with the prefix
+  async range(prefix) {
+    if (!/^[0-9A-F]{5}$/.test(prefix)) throw new Error('Invalid hash prefix');
+    if (this.source === 'offline') {
+      if (!this.offlineIndex) {
+        const { pwnedPasswordIndex = {} } = await chrome.storage.local.get('pwnedPasswordIndex');
+        this.offlineIndex = pwnedPasswordIndex;
+      }
+      return this.offlineIndex[prefix] || {};
+    }
+
+    const cacheKey = `pwnedRange:${prefix}`;
+    const { [cacheKey]: cached } = await chrome.storage.session.get(cacheKey);
+    if (cached) return cached;
+    // Padding makes every response about the same size, so the prefix cannot be guessed from it
+    const res = await fetch(`${this.rangeUrl.replace(/\/?$/, '/')}${prefix}`, { headers: { 'Add-Padding': 'true' } });
+    if (!res.ok) throw new Error(`Pwned Passwords returned HTTP ${res.status}`);
+    const suffixes = this.parseRange(await res.text());
+    await chrome.storage.session.set({ [cacheKey]: suffixes });
+    return suffixes;
+  }
+
+  // "SUFFIX:COUNT" lines; padding lines have a count of 0 and are dropped
+  parseRange(text) {
+    const suffixes = {};
+    for (const line of text.split(/\r?\n/)) {
+      const [suffix, count] = line.trim().split(':');
+      if (/^[0-9A-F]{35}$/i.test(suffix) && Number(count) > 0) suffixes[suffix.toUpperCase()] = Number(count);
+    }
+    return suffixes;
+  }
+
+  // Accepts full "HASH:COUNT" lines, or the "SUFFIX:COUNT" range files named after their prefix
+  // (e.g. 21BD1.txt) that the Pwned Passwords downloader writes
+  parseOfflineFile(text, fileName = '') {
+    const filePrefix = (fileName.match(/^([0-9A-F]{5})\.txt$/i) || [])[1];
+    const index = {};
+    let count = 0;
+    for (const line of text.split(/\r?\n/)) {
+      const [hash, occurrences] = line.trim().split(':');
+      let prefix;
+      let suffix;
+      if (/^[0-9A-F]{40}$/i.test(hash)) {
+        prefix = hash.slice(0, 5).toUpperCase();
+        suffix = hash.slice(5).toUpperCase();
+      } else if (filePrefix && /^[0-9A-F]{35}$/i.test(hash)) {
+        prefix = filePrefix.toUpperCase();
+        suffix = hash.toUpperCase();
+      } else {
+        continue;
+      }
+      if (!(Number(occurrences) > 0)) continue;
+      (index[prefix] = index[prefix] || {})[suffix] = Number(occurrences);
+      count++;
+    }
+    return { index, count };
+  }
+
+  mergeIndex(target, source) {
+    for (const [prefix, suffixes] of Object.entries(source)) {
+      target[prefix] = { ...target[prefix], ...suffixes };
+    }
+    return target;
+  }
+}
+PwnedPasswordService.defaultRangeUrl = 'https://api.pwnedpasswords.com/range/';
@@ -0,0 +1,28 @@
+class Redactor {
+  constructor(masking = new MaskingPolicy()) {
+    this.masking = masking;
+  }
+
+  redact(text, findings) {
+    const sorted = [...findings].sort((a, b) => a.start - b.start || b.end - a.end);
+    const redactions = [];
+    let output = '';
+    let cursor = 0;
+    for (const finding of sorted) {
+      // Exact-data matches can overlap detector matches; the first span already covers them.
+      // Findings without a span, such as text that was not scanned, have nothing to mask.
+      if (finding.start === undefined || finding.start < cursor) continue;
+      const masked = this.masking.mask(finding, text.slice(finding.start, finding.end));
+      output += text.slice(cursor, finding.start) + masked;
+      cursor = finding.end;
+      redactions.push({
+        type: finding.type,
+        detector: finding.detector,
+        label: finding.provider || finding.label || finding.rule || finding.dataset || finding.type,
+        severity: finding.severity,
+        masked
+      });
+    }
+    return { text: output + text.slice(cursor), redactions };
+  }
+}
@@ -0,0 +1,155 @@
+const SecretValidators = {
+  shannonEntropy(value) {
+    const counts = new Map();
+    for (const ch of value) counts.set(ch, (counts.get(ch) || 0) + 1);
+    let entropy = 0;
+    for (const count of counts.values()) {
+      const p = count / value.length;
+      entropy -= p * Math.log2(p);
+    }
+    return entropy;
+  },
+
+  decodeBase64Url(segment) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    return atob(base64.padEnd(base64.length + (4 - base64.length % 4) % 4, '='));
+  },
+
+  jwt(value) {
+    try {
+      const [header, payload] = value.split('.');
+      const decodedHeader = JSON.parse(SecretValidators.decodeBase64Url(header));
+      JSON.parse(SecretValidators.decodeBase64Url(payload));
+      if (typeof decodedHeader.alg !== 'string') return false;
+      return decodedHeader.alg.toLowerCase() === 'none' ? 0.7 : 0.95;
+    } catch (e) {
+      return false;
+    }
+  },
+
+  pem(value, { match }) {
+    const body = value
+      .slice(value.indexOf('-----', 5) + 5, value.lastIndexOf('-----END'))
+      .split(/\r?\n/)
+      .filter(line => line && !/^[A-Za-z-]+:/.test(line))
+      .join('');
+    if (body.length < 64 || !/^[A-Za-z0-9+/=\s]+$/.test(body)) return false;
+    return match[1].includes('ENCRYPTED') ? 0.8 : 0.99;
+  },
+
+  connectionString(value, { match }) {
+    const password = decodeURIComponent(match[2]);
+    if (/^(?:\*+|x+|password|pass|secret|changeme|<[^>]*>|\$\{[^}]*\}|\{\{[^}]*\}\})$/i.test(password)) return false;
+    return 0.9;
+  },
+
+  highEntropy(value) {
+    // Long runs are encoded files, and slashes without base64 padding or "+" are URL paths
+    if (value.length > 200) return false;
+    if (value.includes('/') && !value.includes('+') && !value.endsWith('=')) return false;
+    if (/^[A-Fa-f0-9]+$/.test(value)) {
+      return value.length >= 40 && SecretValidators.shannonEntropy(value) >= 3.5 ? 0.4 : false;
+    }
+    // Require mixed character classes so long identifiers and words are not flagged
+    if (!/[a-z]/.test(value) || !/[A-Z]/.test(value) || !/\d/.test(value)) return false;
+    return SecretValidators.shannonEntropy(value) >= 4.2 ? 0.55 : false;
+  }
+};
+
+const SECRET_DETECTORS = [
+  {
+    id: 'aws_access_key',
+    type: 'secret',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/,
+    confidence: 0.95,
+    severity: 'critical',
+    meta: { provider: 'AWS access key' },
+    expectedHosts: ['amazonaws.com']
+  },
+  {
+    id: 'aws_secret_key',
+    type: 'secret',
+    pattern: /\baws_?secret_?(?:access_?)?key\s*[:=]\s*["']?[A-Za-z0-9/+=]{40}(?![A-Za-z0-9/+=])/i,
+    confidence: 0.9,
+    severity: 'critical',
+    meta: { provider: 'AWS secret key' },
+    expectedHosts: ['amazonaws.com']
+  },
+  {
+    id: 'github_token',
+    type: 'secret',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36}|github_pat_[A-Za-z0-9_]{82})\b/,
+    confidence: 0.95,
+    severity: 'critical',
+    meta: { provider: 'GitHub token' },
+    expectedHosts: ['github.com', 'githubusercontent.com']
+  },
+  {
+    id: 'gitlab_token',
+    type: 'secret',
+    pattern: /\bglpat-[A-Za-z0-9_-]{20}\b/,
+    confidence: 0.95,
+    severity: 'critical',
+    meta: { provider: 'GitLab token' },
+    expectedHosts: ['gitlab.com']
+  },
+  {
+    id: 'slack_token',
+    type: 'secret',
+    pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}\b/,
+    confidence: 0.9,
+    severity: 'high',
+    meta: { provider: 'Slack token' },
+    expectedHosts: ['slack.com']
+  },
+  {
+    id: 'slack_webhook',
+    type: 'secret',
+    pattern: /https:\/\/hooks\.slack\.com\/services\/T[A-Z0-9]+\/B[A-Z0-9]+\/[A-Za-z0-9]+/,
+    confidence: 0.95,
+    severity: 'high',
+    meta: { provider: 'Slack webhook' }
+  },
+  {
+    id: 'stripe_key',
+    type: 'secret',
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{24,}\b/,
+    validate: value => (value.includes('_live_') ? 0.95 : 0.7),
+    severity: 'critical',
+    meta: { provider: 'Stripe key' },
+    expectedHosts: ['stripe.com']
+  },
+  {
+    id: 'jwt',
+    type: 'secret',
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/,
+    validate: SecretValidators.jwt,
+    severity: 'high',
+    meta: { provider: 'JSON Web Token' }
+  },
+  {
+    id: 'private_key',
+    type: 'secret',
+    pattern: /-----BEGIN ((?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?)-----[\s\S]+?-----END \1-----/,
+    validate: SecretValidators.pem,
+    severity: 'critical',
+    meta: { provider: 'Private key' }
+  },
+  {
+    id: 'db_connection_string',
+    type: 'secret',
+    pattern: /\b(?:postgres(?:ql)?|mysql|mariadb|mongodb(?:\+srv)?|redis|rediss|amqps?|mssql|sqlserver):\/\/([^\s:@/]+):([^\s@/]+)@[^\s/]+/i,
+    validate: SecretValidators.connectionString,
+    severity: 'critical',
+    meta: { provider: 'Database connection string' }
+  },
+  {
+    id: 'high_entropy_string',
+    type: 'secret',
+    pattern: /(?<![A-Za-z0-9+/]|==|base64,)(?:[A-Za-z0-9+/]{32,}={0,2})(?![A-Za-z0-9+/=])/,
+    validate: SecretValidators.highEntropy,
+    severity: 'medium',
+    keywords: ['secret', 'token', 'key', 'passw', 'auth', 'credential'],
+    meta: { provider: 'High-entropy secret' }
+  }
+];
@@ -0,0 +1,196 @@
+// Wraps chrome.storage.local so sensitive keys are written as AES-GCM envelopes.
+// Each key gets its own HKDF subkey from a master key that is either generated on
+// install or derived from the user's passphrase. While a passphrase vault is unlocked
+// the master key lives in chrome.storage.session, which is never written to disk.
+class SecureStorage {
+  constructor(cryptoUtils = new CryptoUtils()) {
+    this.cryptoUtils = cryptoUtils;
+    this.encryptedKeys = [
+      'alerts', 'whitelist', 'watchedEmails', 'customRules', 'breachProvider', 'reputationProvider', 'trustedDomains',
+      'protectedDomains'
+    ];
+    this.minPassphraseLength = 8;
+    this.vault = null;
+    this.master = null;
+    this.subkeys = new Map();
+  }
+
+  async init() {
+    const vault = await this.withVaultLock(async () => {
+      const stored = await chrome.storage.local.get('vault');
+      return stored.vault || this.createGeneratedVault();
+    });
+
+    // Swap vault and key together so reads running in parallel never mix the two
+    let master = null;
+    if (vault.mode === 'generated') {
+      master = await this.importMaster(this.cryptoUtils.base64ToArrayBuffer(vault.generatedKey));
+    } else {
+      const { vaultKey } = await chrome.storage.session.get('vaultKey');
+      if (vaultKey) master = await this.importMaster(this.cryptoUtils.base64ToArrayBuffer(vaultKey));
+    }
+    this.vault = vault;
+    this.master = master;
+    this.subkeys.clear();
+
+    if (!this.isLocked()) await this.migratePlaintext();
+    return this.status();
+  }
+
+  // Web Locks are shared by the service worker and extension pages, so only one context creates the vault
+  withVaultLock(callback) {
+    return navigator.locks.request('secureguard-vault', callback);
+  }
+
+  status() {
+    return { mode: this.vault?.mode, locked: this.isLocked() };
+  }
+
+  isLocked() {
+    return !this.master;
+  }
+
+  isEncrypted(value) {
+    return Boolean(value) && value.encrypted === 'AES-GCM' && typeof value.data === 'string';
+  }
+
+  async get(keys) {
+    const list = [].concat(keys);
+    const stored = await chrome.storage.local.get(list);
+    for (const key of list) {
+      if (!this.isEncrypted(stored[key])) continue;
+      // Locked values read as missing; callers check isLocked() to tell the difference
+      if (this.isLocked()) {
+        delete stored[key];
+        continue;
+      }
+      stored[key] = JSON.parse(await this.cryptoUtils.decrypt(stored[key].data, await this.subkey(key)));
+    }
+    return stored;
+  }
+
+  async set(items) {
+    await chrome.storage.local.set(await this.encryptItems(items));
+  }
+
+  async encryptItems(items) {
+    const output = {};
+    for (const [key, value] of Object.entries(items)) {
+      if (!this.encryptedKeys.includes(key)) {
+        output[key] = value;
+        continue;
+      }
+      if (this.isLocked()) throw new Error('Secure storage is locked');
+      output[key] = {
+        encrypted: 'AES-GCM',
+        data: await this.cryptoUtils.encrypt(JSON.stringify(value), await this.subkey(key))
+      };
+    }
+    return output;
+  }
+
+  async unlock(passphrase) {
+    if (this.vault.mode !== 'passphrase' || !this.isLocked()) return this.status();
+    const raw = await this.passphraseKey(passphrase, this.cryptoUtils.base64ToArrayBuffer(this.vault.kdfSalt));
+    await this.setMaster(raw);
+    try {
+      await this.cryptoUtils.decrypt(this.vault.check, await this.subkey('check'));
+    } catch (e) {
+      this.master = null;
+      this.subkeys.clear();
+      throw new Error('Incorrect passphrase');
+    }
+    await chrome.storage.session.set({ vaultKey: this.cryptoUtils.arrayBufferToBase64(raw) });
+    await this.migratePlaintext();
+    return this.status();
+  }
+
+  async lock() {
+    if (this.vault.mode !== 'passphrase') throw new Error('Set a passphrase before locking storage');
+    this.master = null;
+    this.subkeys.clear();
+    await chrome.storage.session.remove('vaultKey');
+    return this.status();
+  }
+
+  async setPassphrase(passphrase) {
+    if (!passphrase || passphrase.length < this.minPassphraseLength) {
+      throw new Error(`Passphrase must be at least ${this.minPassphraseLength} characters`);
+    }
+    const kdfSalt = this.cryptoUtils.generateSalt();
+    const raw = await this.passphraseKey(passphrase, kdfSalt);
+    await this.rekey({ mode: 'passphrase', kdfSalt: this.cryptoUtils.arrayBufferToBase64(kdfSalt) }, raw);
+    await chrome.storage.session.set({ vaultKey: this.cryptoUtils.arrayBufferToBase64(raw) });
+    return this.status();
+  }
+
+  async removePassphrase() {
+    const raw = await crypto.subtle.exportKey('raw', await this.cryptoUtils.generateKey());
+    await this.rekey({ mode: 'generated', generatedKey: this.cryptoUtils.arrayBufferToBase64(raw) }, raw);
+    await chrome.storage.session.remove('vaultKey');
+    return this.status();
+  }
+
+  // Re-encrypts every protected key under a new master key and stores it with the new vault in one write
+  async rekey(vault, raw) {
+    if (this.isLocked()) throw new Error('Unlock storage before changing the passphrase');
+    await this.withVaultLock(async () => {
+      const data = await this.get(this.encryptedKeys);
+      await this.setMaster(raw);
+      this.vault = {
+        ...vault,
+        salt: this.cryptoUtils.arrayBufferToBase64(this.cryptoUtils.generateSalt()),
+        createdAt: Date.now()
+      };
+      this.vault.check = await this.cryptoUtils.encrypt('secureguard', await this.subkey('check'));
+      await chrome.storage.local.set({ vault: this.vault, ...await this.encryptItems(data) });
+    });
+  }
+
+  async createGeneratedVault() {
+    const raw = await crypto.subtle.exportKey('raw', await this.cryptoUtils.generateKey());
+    const salt = this.cryptoUtils.generateSalt();
+    const vault = {
+      mode: 'generated',
+      generatedKey: this.cryptoUtils.arrayBufferToBase64(raw),
+      salt: this.cryptoUtils.arrayBufferToBase64(salt),
+      createdAt: Date.now()
+    };
+    this.vault = vault;
+    await this.setMaster(raw);
+    vault.check = await this.cryptoUtils.encrypt('secureguard', await this.subkey('check'));
+    await chrome.storage.local.set({ vault });
+    return vault;
+  }
+
+  // Data written before encryption existed, or by an older version, is encrypted in place
+  async migratePlaintext() {
+    const stored = await chrome.storage.local.get(this.encryptedKeys);
+    const plaintext = Object.fromEntries(
+      Object.entries(stored).filter(([, value]) => value !== undefined && !this.isEncrypted(value))
+    );
+    if (Object.keys(plaintext).length) await this.set(plaintext);
+  }
+
+  async passphraseKey(passphrase, salt) {
+    const key = await this.cryptoUtils.deriveKeyFromPassword(passphrase, salt);
+    return crypto.subtle.exportKey('raw', key);
+  }
+
+  importMaster(raw) {
+    return crypto.subtle.importKey('raw', raw, 'HKDF', false, ['deriveKey']);
+  }
+
+  async setMaster(raw) {
+    this.master = await this.importMaster(raw);
+    this.subkeys.clear();
+  }
+
+  async subkey(purpose) {
+    if (!this.subkeys.has(purpose)) {
+      const salt = this.cryptoUtils.base64ToArrayBuffer(this.vault.salt);
+      this.subkeys.set(purpose, await this.cryptoUtils.deriveKey(this.master, `secureguard:${purpose}`, salt));
+    }
+    return this.subkeys.get(purpose);
+  }
+}
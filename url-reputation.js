@@ -0,0 +1,270 @@
+// Local URL reputation in the style of Safe Browsing Update API v4: URLs are canonicalized, expanded
+// into host-suffix/path-prefix expressions and hashed with SHA-256. Only 4-byte hash prefixes are
+// looked up first; a remote full-hash endpoint is contacted only when a prefix matches.
+class UrlReputation {
+  constructor(cryptoUtils) {
+    this.cryptoUtils = cryptoUtils;
+    this.db = null;
+    this.provider = {};
+    this.threatTypes = ['MALWARE', 'SOCIAL_ENGINEERING', 'UNWANTED_SOFTWARE'];
+  }
+
+  configure(provider = {}) {
+    this.provider = provider;
+  }
+
+  async load() {
+    if (!this.db) {
+      const { reputationDb } = await chrome.storage.local.get('reputationDb');
+      this.db = reputationDb || this.emptyDb();
+    }
+    return this.db;
+  }
+
+  emptyDb() {
+    return { sources: [], prefixes: {}, hashes: {} };
+  }
+
+  // ---- Canonicalization ----
+
+  canonicalize(rawUrl) {
+    let url = this.toByteString(String(rawUrl).trim().replace(/[\t\r\n]/g, '').split('#')[0]);
+    if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(url)) url = `http://${url}`;
+    url = this.unescapeFully(url);
+
+    const match = url.match(/^([a-z][a-z0-9+.-]*):\/\/(?:[^/?@]*@)?([^/?:]*)(?::\d*)?([^?]*)(\?.*)?$/i);
+    if (!match || !/^(https?|ftp)$/i.test(match[1])) return null;
+    const host = this.canonicalHost(match[2]);
+    if (!host) return null;
+    return {
+      scheme: match[1].toLowerCase(),
+      host: this.escape(host),
+      path: this.escape(this.canonicalPath(match[3])),
+      query: match[4] === undefined ? null : this.escape(match[4])
+    };
+  }
+
+  // Non-ASCII characters are handled as their UTF-8 bytes so they escape the way Safe Browsing does
+  toByteString(text) {
+    return Array.from(new TextEncoder().encode(text), byte => String.fromCharCode(byte)).join('');
+  }
+
+  unescapeFully(text) {
+    let previous;
+    do {
+      previous = text;
+      text = text.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+    } while (text !== previous);
+    return text;
+  }
+
+  escape(text) {
+    return text.replace(/[\x00-\x20\x7f-\xff#%]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  canonicalHost(host) {
+    const cleaned = host.replace(/^\.+|\.+$/g, '').replace(/\.{2,}/g, '.').toLowerCase();
+    return this.normalizeIPv4(cleaned) || cleaned;
+  }
+
+  // Accepts the forms browsers accept: hex, octal and fewer than four parts ("3279880203", "0x7f.1")
+  normalizeIPv4(host) {
+    const parts = host.split('.');
+    if (parts.length > 4 || !parts.every(part => /^(0x[0-9a-f]*|[0-9]+)$/i.test(part))) return null;
+    const numbers = parts.map(part => {
+      if (/^0x/i.test(part)) return part.length > 2 ? parseInt(part.slice(2), 16) : 0;
+      if (/^0[0-7]+$/.test(part)) return parseInt(part, 8);
+      return /^[0-9]+$/.test(part) && !/^0[0-9]+$/.test(part) ? Number(part) : NaN;
+    });
+    if (numbers.some(Number.isNaN)) return null;
+    const last = numbers.pop();
+    if (numbers.some(n => n > 255) || last >= 256 ** (4 - numbers.length)) return null;
+    const bytes = [...numbers];
+    for (let i = 3 - numbers.length; i >= 0; i--) bytes.push(Math.floor(last / 256 ** i) % 256);
+    return bytes.join('.');
+  }
+
+  canonicalPath(path) {
+    const segments = [];
+    for (const segment of (path || '/').split('/')) {
+      if (segment === '..') segments.pop();
+      else if (segment !== '.' && segment !== '') segments.push(segment);
+    }
+    const trailing = /\/(\.\.?)?$/.test(path || '/') && segments.length ? '/' : '';
+    return `/${segments.join('/')}${trailing}`;
+  }
+
+  // Up to 5 host suffixes times up to 6 path prefixes, e.g. for a.b.example.com/1/2.html?x=1:
+  // a.b.example.com/1/2.html?x=1, a.b.example.com/1/2.html, a.b.example.com/, a.b.example.com/1/, b.example.com/ ...
+  expressions({ host, path, query }) {
+    const hosts = [host];
+    if (!/^\d+\.\d+\.\d+\.\d+$/.test(host)) {
+      const labels = host.split('.');
+      for (let i = Math.max(labels.length - 5, 1); i < labels.length - 1; i++) hosts.push(labels.slice(i).join('.'));
+    }
+
+    const paths = [];
+    if (query !== null) paths.push(path + query);
+    paths.push(path);
+    const segments = path.split('/').slice(1, -1);
+    let prefix = '/';
+    paths.push(prefix);
+    for (const segment of segments.slice(0, 3)) {
+      prefix += `${segment}/`;
+      paths.push(prefix);
+    }
+
+    const expressions = new Set();
+    for (const candidateHost of new Set(hosts)) {
+      for (const candidatePath of paths) expressions.add(candidateHost + candidatePath);
+    }
+    return [...expressions].slice(0, 30);
+  }
+
+  async hashExpression(expression) {
+    const bytes = Uint8Array.from(expression, ch => ch.charCodeAt(0));
+    return this.cryptoUtils.arrayBufferToHex(await crypto.subtle.digest('SHA-256', bytes));
+  }
+
+  // ---- Lookup ----
+
+  async check(url) {
+    const canonical = this.canonicalize(url);
+    if (!canonical) return { malicious: false, checked: false };
+    const db = await this.load();
+    const hashes = await Promise.all(this.expressions(canonical).map(async expression => ({
+      expression,
+      hash: await this.hashExpression(expression)
+    })));
+    const hits = hashes.filter(({ hash }) => db.prefixes[hash.slice(0, 8)]);
+    if (!hits.length) return { malicious: false };
+
+    const local = hits.filter(({ hash }) => db.hashes[hash]);
+    if (local.length) {
+      return {
+        malicious: true,
+        source: 'local',
+        threats: local.map(({ expression, hash }) => ({ expression, sources: this.sourceNames(db, db.hashes[hash]) }))
+      };
+    }
+
+    // Only a prefix matched, so the local list cannot tell a hit from a collision
+    if (!this.provider.url) return { malicious: false, unconfirmed: true };
+    try {
+      const matches = await this.fullHashes(canonical.host, [...new Set(hits.map(({ hash }) => hash.slice(0, 8)))]);
+      const confirmed = hits.filter(({ hash }) => matches[hash]);
+      return confirmed.length
+        ? { malicious: true, source: 'remote', threats: confirmed.map(({ expression, hash }) => ({ expression, threatType: matches[hash] })) }
+        : { malicious: false };
+    } catch (e) {
+      console.warn('Full-hash lookup failed:', e);
+      return { malicious: false, error: 'offline' };
+    }
+  }
+
+  sourceNames(db, ids) {
+    return ids.map(id => (db.sources.find(source => source.id === id) || {}).name || id);
+  }
+
+  // Responses are cached per host in session storage for as long as the server says they are valid
+  async fullHashes(host, prefixes) {
+    const cacheKey = `reputationCache:${host}`;
+    const { [cacheKey]: cached } = await chrome.storage.session.get(cacheKey);
+    if (cached && cached.expires > Date.now() && prefixes.every(prefix => cached.prefixes.includes(prefix))) {
+      return cached.matches;
+    }
+
+    const endpoint = this.provider.apiKey
+      ? `${this.provider.url}${this.provider.url.includes('?') ? '&' : '?'}key=${encodeURIComponent(this.provider.apiKey)}`
+      : this.provider.url;
+    const res = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        client: { clientId: 'secureguard', clientVersion: chrome.runtime.getManifest().version },
+        threatInfo: {
+          threatTypes: this.threatTypes,
+          platformTypes: ['ANY_PLATFORM'],
+          threatEntryTypes: ['URL'],
+          threatEntries: prefixes.map(prefix => ({ hash: this.cryptoUtils.arrayBufferToBase64(this.cryptoUtils.hexToArrayBuffer(prefix)) }))
+        }
+      })
+    });
+    if (!res.ok) throw new Error(`Full-hash endpoint returned HTTP ${res.status}`);
+    const data = await res.json();
+
+    const matches = {};
+    let seconds = parseFloat(data.negativeCacheDuration) || 300;
+    for (const match of data.matches || []) {
+      matches[this.cryptoUtils.arrayBufferToHex(this.cryptoUtils.base64ToArrayBuffer(match.threat.hash))] = match.threatType;
+      seconds = Math.min(seconds, parseFloat(match.cacheDuration) || seconds);
+    }
+    await chrome.storage.session.set({
+      [cacheKey]: { prefixes, matches, expires: Date.now() + seconds * 1000 }
+    });
+    return matches;
+  }
+
+  // ---- Feed import ----
+
+  // Handles PhishTank and URLhaus CSV, OpenPhish and other one-URL-per-line lists, plain domain
+  // or hosts-file lists, and lists of hex SHA-256 hashes or 4-byte prefixes
+  async parseFeed(text) {
+    const fullHashes = new Set();
+    const prefixes = new Set();
+    for (const rawLine of text.split(/\r?\n/)) {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#') || line.startsWith('!')) continue;
+
+      const hex = line.match(/^(?:[0-9a-f]{64}|[0-9a-f]{8})$/i);
+      if (hex) {
+        const hash = hex[0].toLowerCase();
+        if (hash.length === 64) fullHashes.add(hash);
+        prefixes.add(hash.slice(0, 8));
+        continue;
+      }
+
+      const url = line.match(/"(https?:\/\/[^"]+)"|(https?:\/\/[^\s,"]+)/i);
+      const domain = !url && line.match(/^(?:(?:0\.0\.0\.0|127\.0\.0\.1)\s+)?([a-z0-9-]+(?:\.[a-z0-9-]+)+)$/i);
+      let expression = null;
+      if (url) {
+        const canonical = this.canonicalize(url[1] || url[2]);
+        if (canonical) expression = canonical.host + canonical.path + (canonical.query ?? '');
+      } else if (domain) {
+        // A bare domain covers the whole site, which the host-root expression matches
+        const canonical = this.canonicalize(domain[1]);
+        if (canonical) expression = `${canonical.host}/`;
+      }
+      if (!expression) continue;
+      const hash = await this.hashExpression(expression);
+      fullHashes.add(hash);
+      prefixes.add(hash.slice(0, 8));
+    }
+    return { fullHashes: [...fullHashes], prefixes: [...prefixes] };
+  }
+
+  async importFeed(name, text) {
+    const { fullHashes, prefixes } = await this.parseFeed(text);
+    if (!prefixes.length) return null;
+    const db = await this.load();
+    const source = { id: crypto.randomUUID(), name, count: prefixes.length, importedAt: Date.now() };
+    db.sources.push(source);
+    for (const prefix of prefixes) (db.prefixes[prefix] = db.prefixes[prefix] || []).push(source.id);
+    for (const hash of fullHashes) (db.hashes[hash] = db.hashes[hash] || []).push(source.id);
+    await chrome.storage.local.set({ reputationDb: db });
+    return source;
+  }
+
+  async removeSource(id) {
+    const db = await this.load();
+    db.sources = db.sources.filter(source => source.id !== id);
+    for (const table of [db.prefixes, db.hashes]) {
+      for (const [key, ids] of Object.entries(table)) {
+        const remaining = ids.filter(sourceId => sourceId !== id);
+        if (remaining.length) table[key] = remaining;
+        else delete table[key];
+      }
+    }
+    await chrome.storage.local.set({ reputationDb: db });
+  }
+}